@@ -0,0 +1,4609 @@
+/**
+ * FeedSieve Frontend Application
+ * Mobile-first reading sanctuary with rating visibility
+ */
+
+const FEED_URL = 'data/feed.json';
+const FEED_INDEX_URL = 'data/index.json';
+const SERVICE_WORKER_URL = 'sw.js';
+const FEED_CACHE_HEADER = 'X-FeedSieve-Cache';
+const TIMELINE_FILTERS = ['today', 'yesterday', 'week', 'month', 'range', 'all', 'saved', 'watching', 'ideas'];
+const SOURCE_TYPE_PATTERN = /^[a-z][a-z0-9_-]*$/;
+const SOURCE_TYPES = [
+    { id: 'rss', label: 'RSS Feeds', icon: '📡', color: 'var(--color-rss)', order: 10, pinned: true },
+    { id: 'youtube', label: 'YouTube', icon: '🎬', color: 'var(--color-youtube)', order: 20, pinned: true },
+    { id: 'newsletter', label: 'Newsletters', icon: '📧', color: 'var(--color-newsletter)', order: 30, pinned: true, renderer: 'createDigestCard' },
+    { id: 'nitter', label: 'Twitter/X', icon: '🐦', color: 'var(--color-nitter)', order: 40, pinned: true, renderer: 'createTweetCard', shortForm: true },
+    { id: 'podcast', label: 'Podcasts', icon: '🎙️', color: 'var(--color-podcast)', order: 50, renderer: 'createPodcastCard' },
+    { id: 'reddit', label: 'Reddit', icon: '👽', color: '#ff7a45', order: 60 },
+    { id: 'hn', label: 'Hacker News', icon: '🔶', color: '#ff8c1a', order: 70 },
+    { id: 'github', label: 'GitHub Releases', icon: '📦', color: '#a5b4fc', order: 80 }
+];
+const SORT_OPTIONS = ['date', 'rating', 'relevance'];
+const FACETS = [
+    { key: 'types', param: 'type' },
+    { key: 'sources', param: 'source' },
+    { key: 'categories', param: 'category' }
+];
+const FACET_HINT = 'Ctrl/⌘-click to combine with other filters';
+const CATEGORY_ICONS = {
+    'CyberSecurity': '🛡️',
+    'AI': '🤖',
+    'Productivity': '📈',
+    'Tech': '💻',
+    'Sysadmin': '⚙️',
+    'Philosophy': '🧠'
+};
+const SEARCH_FIELD_WEIGHTS = {
+    title: 3,
+    source_name: 2,
+    labels: 2,
+    ideas: 1.5,
+    summary: 1,
+    sections: 1,
+    rating_reason: 0.5
+};
+const SEARCH_OPERATORS = ['source', 'type', 'label', 'idea', 'rating'];
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['j', 'k'], description: 'Next / previous article' },
+    { keys: ['Enter', 'o'], description: 'Open article' },
+    { keys: ['v'], description: 'Open original in new tab' },
+    { keys: ['u'], description: 'Toggle read / unread' },
+    { keys: ['s'], description: 'Save / unsave' },
+    { keys: ['/'], description: 'Focus search' },
+    { keys: ['g t'], description: 'Go to Today' },
+    { keys: ['g y'], description: 'Go to Yesterday' },
+    { keys: ['g w'], description: 'Go to This Week' },
+    { keys: ['g m'], description: 'Go to This Month' },
+    { keys: ['g a'], description: 'Go to All Articles' },
+    { keys: ['g s'], description: 'Go to Saved' },
+    { keys: ['g i'], description: 'Go to Ideas' },
+    { keys: ['?'], description: 'Show this help' },
+    { keys: ['Esc'], description: 'Close article or dialog / leave search' }
+];
+const GOTO_FILTERS = { t: 'today', y: 'yesterday', w: 'week', m: 'month', a: 'all', s: 'saved', i: 'ideas' };
+const RATING_HISTOGRAM_MIN = 50;
+const RATING_HISTOGRAM_STEP = 5;
+const RENDER_PAGE_SIZE = 30;
+const STORE_KEY = 'feedsieve:state';
+const STORE_VERSION = 5;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const SYNC_DEBOUNCE_MS = 2000;
+const FEED_POLL_INTERVAL_MS = 5 * 60 * 1000;
+const FEED_POLL_MIN_GAP_MS = 30 * 1000;
+const SPLIT_VIEW_QUERY = '(min-width: 1025px)';
+const YOUTUBE_EMBED_HOST = 'https://www.youtube-nocookie.com';
+const YOUTUBE_API_URL = 'https://www.youtube.com/iframe_api';
+const YOUTUBE_THUMBNAIL_URL = 'https://i.ytimg.com/vi';
+const WATCH_PROGRESS_INTERVAL_MS = 5000;
+const WATCH_STARTED_SECONDS = 10;
+const WATCH_FINISHED_RATIO = 0.9;
+const SOCIAL_HOSTS = ['twitter.com', 'mobile.twitter.com', 'x.com', 'xcancel.com'];
+const TWEET_MAX_LENGTH = 280;
+const DIGEST_MIN_RATING = 80;
+const DIGEST_CARD_SECTIONS = 3;
+const IDEA_MATCH_THRESHOLD = 0.35;
+const IDEA_CARD_CHIPS = 3;
+const IDEA_STOPWORDS = new Set(('a an and are as at be but by can for from has have how in into is it its more most ' +
+    'not of on or that the their them they this to was were what when which while who why will with without ' +
+    'you your our we via vs than then so such also just only over under about after before between both each ' +
+    'other use uses used using new make makes').split(' '));
+const PLAYBACK_RATES = [1, 1.25, 1.5, 1.75, 2, 0.75];
+const FEED_TIMEZONE = 'UTC';
+const WEEK_MODES = ['rolling', 'calendar'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LABEL_RULES = {
+    CyberSecurity: ['security', 'vulnerability', 'vulnerabilities', 'exploit', 'malware', 'ransomware', 'phishing',
+        'breach', 'CVE', 'zero-day', 'supply chain attack', 'penetration testing', 'infosec', '/\\bpentest/i'],
+    AI: ['AI', 'LLM', 'LLMs', 'GPT', 'Claude', 'Gemini', 'machine learning', 'neural network', 'language model',
+        'language models', '/\\bagent(s|ic)?\\b/i'],
+    Productivity: ['productivity', 'focus', 'habit', 'habits', 'deep work', 'time management', 'procrastination'],
+    Tech: ['software', 'programming', 'developer', 'developers', 'open-source', 'JavaScript', 'Python', 'Rust',
+        'API', 'GitHub', 'coding'],
+    Sysadmin: ['Linux', 'Kubernetes', 'Docker', 'server', 'servers', 'DNS', 'nginx', 'systemd', 'homelab',
+        'self-hosted', 'backup', 'backups', 'ZFS', 'Ansible', 'Terraform'],
+    Philosophy: ['philosophy', 'ethics', 'consciousness', 'stoic', 'stoicism', 'morality', 'existential']
+};
+const LABEL_RULES_HELP = [
+    '# One [Category] line, then one pattern per line.',
+    '# Words and phrases match whole words, ignoring case; /pattern/flags is a regular expression.',
+    '# Tested against title, summary and key ideas of items the feed left unlabeled.'
+].join('\n');
+
+/**
+ * Reader state store
+ * Everything the reader persists (read, saved, preferences, hidden sources,
+ * playback progress, smart folders) lives in one versioned localStorage entry. Read and saved are kept per item
+ * as { value, updatedAt } so changes can be merged last-writer-wins.
+ */
+class ReaderStore {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.readOnly = false;
+        this.state = this.load();
+    }
+
+    static defaults() {
+        return {
+            version: STORE_VERSION,
+            read: {},
+            saved: {},
+            preferences: {
+                minRating: 0,
+                unreadOnly: false,
+                readingPane: false,
+                nitterHost: '',
+                playbackRate: 1,
+                labelRules: null,
+                timezone: '',
+                weekMode: 'rolling',
+                syncEndpoint: ''
+            },
+            hiddenSources: [],
+            progress: {},
+            smartFolders: [],
+            pending: [],
+            syncCursor: null
+        };
+    }
+
+    load() {
+        const raw = this.storage.getItem(STORE_KEY);
+        if (raw) {
+            try {
+                const stored = JSON.parse(raw);
+                // Written by a newer build, e.g. when an old cached shell meets it: leave it for that build
+                if ((stored?.version || 0) > STORE_VERSION) {
+                    console.warn(`Reader state version ${stored.version} is newer than this app; changes will not be saved`);
+                    this.readOnly = true;
+                    return ReaderStore.defaults();
+                }
+                return this.migrate(stored);
+            } catch (error) {
+                console.error('Discarding unreadable reader state:', error);
+                return ReaderStore.defaults();
+            }
+        }
+
+        const state = this.migrateLegacyKeys();
+        this.state = state;
+        this.save();
+        return state;
+    }
+
+    // Upgrade older snapshots one version at a time; fill in anything missing
+    migrate(state) {
+        if (!state || typeof state !== 'object') return ReaderStore.defaults();
+        if ((state.version || 0) > STORE_VERSION) {
+            throw new Error(`Reader state version ${state.version} is newer than this app`);
+        }
+
+        let migrated = { ...state };
+        for (let version = migrated.version || 1; version < STORE_VERSION; version++) {
+            migrated = ReaderStore.migrations[version](migrated);
+        }
+
+        const defaults = ReaderStore.defaults();
+        return {
+            ...defaults,
+            ...migrated,
+            version: STORE_VERSION,
+            preferences: { ...defaults.preferences, ...migrated.preferences }
+        };
+    }
+
+    // Before the store: one read_<id> key per item, savedItems, minRating, unreadOnly
+    migrateLegacyKeys() {
+        const state = ReaderStore.defaults();
+        const legacyKeys = [];
+        const markRead = (id) => {
+            state.read[id] = { value: true, updatedAt: 0 };
+        };
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith('read_') && this.storage.getItem(key) === 'true') {
+                markRead(key.slice('read_'.length));
+                legacyKeys.push(key);
+            }
+        }
+
+        // The earliest build kept read ids as a single JSON array
+        try {
+            JSON.parse(this.storage.getItem('readItems') || '[]').forEach(markRead);
+            JSON.parse(this.storage.getItem('savedItems') || '[]').forEach(snapshot => {
+                state.saved[snapshot.id] = { value: true, updatedAt: 0, item: snapshot };
+            });
+        } catch (error) {
+            console.error('Skipping unreadable legacy state:', error);
+        }
+
+        const minRating = parseInt(this.storage.getItem('minRating'), 10);
+        if (!isNaN(minRating)) state.preferences.minRating = minRating;
+        state.preferences.unreadOnly = this.storage.getItem('unreadOnly') === 'true';
+
+        legacyKeys.push('readItems', 'savedItems', 'minRating', 'unreadOnly');
+        legacyKeys.forEach(key => this.storage.removeItem(key));
+
+        return state;
+    }
+
+    save() {
+        if (this.readOnly) return;
+        this.storage.setItem(STORE_KEY, JSON.stringify(this.state));
+    }
+
+    isRead(itemId) {
+        return this.state.read[itemId]?.value === true;
+    }
+
+    setRead(itemIds, read = true) {
+        const updatedAt = Date.now();
+        itemIds.forEach(id => this.recordChange('read', id, { value: read, updatedAt }));
+        this.save();
+    }
+
+    isSaved(itemId) {
+        return this.state.saved[itemId]?.value === true;
+    }
+
+    getSaved(itemId) {
+        return this.isSaved(itemId) ? this.state.saved[itemId].item : null;
+    }
+
+    getSavedItems() {
+        return Object.values(this.state.saved)
+            .filter(entry => entry.value && entry.item)
+            .map(entry => entry.item);
+    }
+
+    setSaved(item, saved = true) {
+        const updatedAt = Date.now();
+        this.recordChange('saved', item.id, saved
+            ? { value: true, updatedAt, item: { ...item, saved_at: new Date(updatedAt).toISOString() } }
+            : { value: false, updatedAt });
+        this.save();
+    }
+
+    getPreference(key) {
+        return this.state.preferences[key];
+    }
+
+    setPreference(key, value) {
+        this.state.preferences[key] = value;
+        this.save();
+    }
+
+    isSourceHidden(type, sourceId) {
+        return this.state.hiddenSources.includes(`${type}:${sourceId}`);
+    }
+
+    setSourceHidden(type, sourceId, hidden) {
+        const key = `${type}:${sourceId}`;
+        this.state.hiddenSources = this.state.hiddenSources.filter(k => k !== key);
+        if (hidden) this.state.hiddenSources.push(key);
+        this.save();
+    }
+
+    // Playback position in seconds, kept per item for videos and audio
+    getProgress(itemId) {
+        return this.state.progress[itemId] || null;
+    }
+
+    setProgress(itemId, position, duration) {
+        this.state.progress[itemId] = { position, duration, updatedAt: Date.now() };
+        this.save();
+    }
+
+    // Saved views, in the order the user arranged them
+    getSmartFolders() {
+        return this.state.smartFolders;
+    }
+
+    getSmartFolder(id) {
+        return this.state.smartFolders.find(folder => folder.id === id) || null;
+    }
+
+    saveSmartFolder(folder) {
+        const index = this.state.smartFolders.findIndex(f => f.id === folder.id);
+        if (index === -1) {
+            this.state.smartFolders.push(folder);
+        } else {
+            this.state.smartFolders[index] = folder;
+        }
+        this.save();
+    }
+
+    removeSmartFolder(id) {
+        this.state.smartFolders = this.state.smartFolders.filter(folder => folder.id !== id);
+        this.save();
+    }
+
+    moveSmartFolder(id, delta) {
+        const folders = this.state.smartFolders;
+        const from = folders.findIndex(folder => folder.id === id);
+        const to = from + delta;
+        if (from === -1 || to < 0 || to >= folders.length) return;
+        [folders[from], folders[to]] = [folders[to], folders[from]];
+        this.save();
+    }
+
+    // Drop read marks and progress for items that left the feed; saved and unsynced items keep theirs
+    prune(liveIds) {
+        const keep = new Set([...liveIds].map(String));
+        Object.keys(this.state.read).forEach(id => {
+            if (keep.has(id) || this.isSaved(id) || this.state.pending.includes(`read:${id}`)) return;
+            delete this.state.read[id];
+        });
+        Object.keys(this.state.progress).forEach(id => {
+            if (!keep.has(id) && !this.isSaved(id)) delete this.state.progress[id];
+        });
+        this.save();
+    }
+
+    /**
+     * Change tracking for sync
+     * Local edits are queued as "<kind>:<id>" keys until a push succeeds
+     */
+    recordChange(kind, id, entry) {
+        this.state[kind][id] = entry;
+        const key = `${kind}:${id}`;
+        if (!this.state.pending.includes(key)) this.state.pending.push(key);
+    }
+
+    getPendingChanges() {
+        return this.state.pending.map(key => {
+            const [kind, id] = key.split(':');
+            return { kind, id, ...this.state[kind][id] };
+        }).filter(change => change.updatedAt !== undefined);
+    }
+
+    // Only clear keys that were not edited again while the push was in flight
+    clearPending(changes) {
+        const sent = new Map(changes.map(change => [`${change.kind}:${change.id}`, change.updatedAt]));
+        this.state.pending = this.state.pending.filter(key => {
+            const [kind, id] = key.split(':');
+            return sent.get(key) !== this.state[kind][id]?.updatedAt;
+        });
+        this.save();
+    }
+
+    // Last-writer-wins per item; returns how many changes were applied.
+    // record queues them for the next push, for changes that did not come from the backend.
+    applyChanges(changes, { record = false } = {}) {
+        let applied = 0;
+        changes.forEach(({ kind, id, value, updatedAt, item }) => {
+            if (!['read', 'saved'].includes(kind) || typeof updatedAt !== 'number') return;
+            // A saved mark is only usable with the snapshot of the item it keeps
+            if (kind === 'saved' && value &&
+                !(item && typeof item === 'object' && String(item.id) === String(id))) return;
+
+            const local = this.state[kind][id];
+            if (local && local.updatedAt >= updatedAt) return;
+
+            const entry = kind === 'saved' && value
+                ? { value, updatedAt, item }
+                : { value, updatedAt };
+            if (record) {
+                this.recordChange(kind, id, entry);
+            } else {
+                this.state[kind][id] = entry;
+            }
+            applied++;
+        });
+
+        if (applied > 0) this.save();
+        return applied;
+    }
+
+    setSyncCursor(cursor) {
+        this.state.syncCursor = cursor;
+        this.save();
+    }
+
+    // The sync endpoint belongs to this browser, so it is neither exported nor imported
+    exportState() {
+        const { pending, syncCursor, ...state } = this.state;
+        const { syncEndpoint, ...preferences } = state.preferences;
+        return JSON.stringify({ ...state, preferences, exported_at: new Date().toISOString() }, null, 2);
+    }
+
+    // Every export since v1 has a numeric version and read/saved maps
+    static isStateShaped(value) {
+        const isObject = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+        return isObject(value) && typeof value.version === 'number' && isObject(value.read) && isObject(value.saved);
+    }
+
+    // Imports merge item by item (newest wins); imported preferences win
+    importState(json) {
+        if (this.readOnly) throw new Error('Reader state belongs to a newer version of the app');
+        const parsed = JSON.parse(json);
+        if (!ReaderStore.isStateShaped(parsed)) throw new Error('Not a FeedSieve state export');
+        const incoming = this.migrate(parsed);
+        const toChanges = (kind) => Object.entries(incoming[kind]).map(([id, entry]) => ({ kind, id, ...entry }));
+
+        this.applyChanges([...toChanges('read'), ...toChanges('saved')], { record: true });
+        const { syncEndpoint, ...preferences } = incoming.preferences;
+        this.state.preferences = { ...this.state.preferences, ...preferences };
+        this.state.hiddenSources = [...new Set([...this.state.hiddenSources, ...incoming.hiddenSources])];
+        Object.entries(incoming.progress).forEach(([id, entry]) => {
+            const local = this.state.progress[id];
+            if (!local || local.updatedAt < entry.updatedAt) this.state.progress[id] = entry;
+        });
+        incoming.smartFolders.forEach(folder => {
+            const local = this.getSmartFolder(folder.id);
+            if (!local) {
+                this.state.smartFolders.push(folder);
+            } else if (local.updatedAt < folder.updatedAt) {
+                Object.assign(local, folder);
+            }
+        });
+        this.save();
+    }
+}
+
+ReaderStore.migrations = {
+    // v1 stored read as { id: readAt } and saved as { id: snapshot }
+    1: (state) => ({
+        ...state,
+        version: 2,
+        read: Object.fromEntries(Object.entries(state.read || {}).map(([id, readAt]) =>
+            [id, { value: true, updatedAt: readAt || 0 }]
+        )),
+        saved: Object.fromEntries(Object.entries(state.saved || {}).map(([id, snapshot]) =>
+            [id, { value: true, updatedAt: Date.parse(snapshot.saved_at) || 0, item: snapshot }]
+        )),
+        pending: [],
+        syncCursor: null
+    }),
+    // v3 added playback progress
+    2: (state) => ({ ...state, version: 3, progress: {} }),
+    3: (state) => ({ ...state, version: 4, smartFolders: [] }),
+    // Folder views went from one source, category or type filter to facet lists
+    4: (state) => ({
+        ...state,
+        version: 5,
+        smartFolders: (state.smartFolders || []).map(folder => {
+            const { source, category, ...view } = folder.view;
+            const facets = { types: [], sources: [], categories: [] };
+            if (view.filter === 'source' && source) {
+                facets.sources.push(`${source.type}:${source.id}`);
+            } else if (view.filter === 'category' && category) {
+                facets.categories.push(category);
+            } else if (!TIMELINE_FILTERS.includes(view.filter) && view.filter !== 'idea') {
+                facets.types.push(view.filter);
+            } else {
+                return { ...folder, view: { ...view, ...facets } };
+            }
+            return { ...folder, view: { ...view, ...facets, filter: 'all' } };
+        })
+    })
+};
+
+/**
+ * JSON-over-HTTP sync backend
+ *   GET  <endpoint>?since=<cursor>  -> { cursor, changes: [...] }
+ *   POST <endpoint> { changes }     -> { cursor }
+ * A change is { kind: 'read' | 'saved', id, value, updatedAt, item? }.
+ */
+class HttpSyncAdapter {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    async pull(cursor) {
+        const url = new URL(this.endpoint, window.location.href);
+        if (cursor !== null && cursor !== undefined) url.searchParams.set('since', cursor);
+
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) throw new Error(`Sync pull failed: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    async push(changes) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes })
+        });
+        if (!response.ok) throw new Error(`Sync push failed: HTTP ${response.status}`);
+        return response.json();
+    }
+}
+
+/**
+ * Keeps a ReaderStore in step with a sync adapter. Local changes stay queued
+ * in the store while offline and are pushed before each pull.
+ */
+class ReaderSync {
+    constructor(store, adapter, { onRemoteChange, onStatus } = {}) {
+        this.store = store;
+        this.adapter = adapter;
+        this.onRemoteChange = onRemoteChange || (() => {});
+        this.onStatus = onStatus || (() => {});
+        this.debounceTimer = null;
+        this.intervalTimer = null;
+        this.running = null;
+    }
+
+    start() {
+        this.intervalTimer = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+        return this.sync();
+    }
+
+    stop() {
+        clearInterval(this.intervalTimer);
+        clearTimeout(this.debounceTimer);
+    }
+
+    schedule() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.sync(), SYNC_DEBOUNCE_MS);
+    }
+
+    // Overlapping calls share the in-flight run
+    sync() {
+        if (!this.running) {
+            this.running = this.run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async run() {
+        if (!navigator.onLine) {
+            this.onStatus('offline');
+            return;
+        }
+
+        try {
+            this.onStatus('syncing');
+
+            const pending = this.store.getPendingChanges();
+            if (pending.length > 0) {
+                await this.adapter.push(pending);
+                this.store.clearPending(pending);
+            }
+
+            const { cursor, changes = [] } = await this.adapter.pull(this.store.state.syncCursor);
+            const applied = this.store.applyChanges(changes);
+            this.store.setSyncCursor(cursor ?? null);
+
+            if (applied > 0) this.onRemoteChange();
+            this.onStatus('synced');
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.onStatus('error');
+        }
+    }
+}
+
+/**
+ * Podcast playback over a single <audio> element. Plays through a queue of
+ * items, resumes each episode from the position saved in the store and
+ * reports finished episodes so they can be marked read.
+ */
+class PodcastPlayer {
+    constructor(audio, store, { onChange, onFinished } = {}) {
+        this.audio = audio;
+        this.store = store;
+        this.onChange = onChange || (() => {});
+        this.onFinished = onFinished || (() => {});
+        this.queue = [];
+        this.index = -1;
+        this.lastSavedAt = 0;
+        this.rate = store.getPreference('playbackRate') || 1;
+
+        audio.addEventListener('timeupdate', () => {
+            if (Date.now() - this.lastSavedAt >= WATCH_PROGRESS_INTERVAL_MS) this.saveProgress();
+            this.onChange();
+        });
+        audio.addEventListener('pause', () => {
+            this.saveProgress();
+            this.onChange();
+        });
+        audio.addEventListener('play', () => this.onChange());
+        audio.addEventListener('loadedmetadata', () => this.onChange());
+        audio.addEventListener('ended', () => this.handleEnded());
+    }
+
+    static enclosureUrl(item) {
+        return item.enclosure_url || item.enclosure?.url || item.audio_url || null;
+    }
+
+    get current() {
+        return this.queue[this.index] || null;
+    }
+
+    play(item, queue = [item]) {
+        this.saveProgress();
+        this.queue = queue.some(entry => entry.id === item.id) ? queue : [item];
+        this.index = this.queue.findIndex(entry => entry.id === item.id);
+        this.load();
+    }
+
+    load() {
+        const item = this.current;
+        if (!item) return;
+
+        // Finished episodes start over; anything else picks up where it stopped
+        const progress = this.store.getProgress(item.id);
+        const resumeAt = progress && progress.position < progress.duration * WATCH_FINISHED_RATIO
+            ? progress.position
+            : 0;
+
+        this.audio.src = PodcastPlayer.enclosureUrl(item);
+        this.audio.addEventListener('loadedmetadata', () => {
+            this.audio.currentTime = resumeAt;
+        }, { once: true });
+        // Loading a new source resets playbackRate to the default
+        this.audio.defaultPlaybackRate = this.rate;
+        this.audio.playbackRate = this.rate;
+        this.lastSavedAt = Date.now();
+        this.audio.play().catch(error => console.error('Playback failed:', error));
+        this.onChange();
+    }
+
+    toggle() {
+        if (!this.current) return;
+        if (this.audio.paused) {
+            this.audio.play().catch(error => console.error('Playback failed:', error));
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    hasNext() {
+        return this.index < this.queue.length - 1;
+    }
+
+    hasPrevious() {
+        return this.index > 0;
+    }
+
+    next() {
+        if (!this.hasNext()) return;
+        this.saveProgress();
+        this.index++;
+        this.load();
+    }
+
+    previous() {
+        if (!this.hasPrevious()) return;
+        this.saveProgress();
+        this.index--;
+        this.load();
+    }
+
+    seek(seconds) {
+        if (!this.current || !Number.isFinite(this.audio.duration)) return;
+        this.audio.currentTime = Math.min(Math.max(seconds, 0), this.audio.duration);
+    }
+
+    skip(delta) {
+        this.seek(this.audio.currentTime + delta);
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+        this.audio.defaultPlaybackRate = rate;
+        this.audio.playbackRate = rate;
+        this.store.setPreference('playbackRate', rate);
+        this.onChange();
+    }
+
+    cycleRate() {
+        const index = PLAYBACK_RATES.indexOf(this.rate);
+        this.setRate(PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length]);
+    }
+
+    stop() {
+        this.saveProgress();
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+        this.queue = [];
+        this.index = -1;
+        this.onChange();
+    }
+
+    saveProgress() {
+        const item = this.current;
+        const duration = this.audio.duration;
+        if (!item || !Number.isFinite(duration) || duration === 0) return;
+
+        this.lastSavedAt = Date.now();
+        this.store.setProgress(item.id, this.audio.currentTime, duration);
+        if (this.audio.currentTime >= duration * WATCH_FINISHED_RATIO) this.onFinished(item);
+    }
+
+    handleEnded() {
+        const item = this.current;
+        if (item) {
+            this.store.setProgress(item.id, this.audio.duration, this.audio.duration);
+            this.onFinished(item);
+        }
+
+        if (this.hasNext()) {
+            this.index++;
+            this.load();
+        } else {
+            this.onChange();
+        }
+    }
+}
+
+/**
+ * Source type registry
+ * Everything that differs per source_type: sidebar label and icon, badge
+ * colour, nav placement (order within By Type; pinned types show even when
+ * empty) and the FeedSieve method that renders its cards. Types that turn up
+ * in the feed without a definition get a generic one, so they still get a
+ * sidebar group, counts and filtering.
+ */
+class SourceTypeRegistry {
+    constructor(definitions = []) {
+        this.types = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    register(definition) {
+        const type = { ...SourceTypeRegistry.fallback(definition.id), ...definition };
+        this.types.set(type.id, type);
+        return type;
+    }
+
+    get(id) {
+        return this.types.get(id) || this.register({ id });
+    }
+
+    // Pinned types plus any type present in typeIds, in nav order
+    navTypes(typeIds) {
+        typeIds.forEach(id => this.get(id));
+        const present = new Set(typeIds);
+        return [...this.types.values()]
+            .filter(type => type.pinned || present.has(type.id))
+            .sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+    }
+
+    static fallback(id) {
+        const label = String(id)
+            .split(/[_-]+/)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+
+        // Stable colour per unknown type so its badge is recognisable between visits
+        let hash = 0;
+        for (const char of String(id)) hash = (hash * 31 + char.charCodeAt(0)) % 360;
+
+        return {
+            id,
+            label,
+            badge: id,
+            icon: '🔗',
+            color: `hsl(${hash}, 65%, 65%)`,
+            order: 1000,
+            pinned: false,
+            renderer: null,
+            shortForm: false
+        };
+    }
+}
+
+/**
+ * Label rules
+ * Derives categories for items the feed left unlabeled. Rules map a category
+ * to patterns tested against title, summary and ideas: plain words and
+ * phrases match whole words ignoring case, /pattern/flags is a regular
+ * expression. Edited as text, one [Category] block per category.
+ */
+class LabelRules {
+    constructor(rules = DEFAULT_LABEL_RULES) {
+        this.rules = rules;
+        this.compiled = Object.entries(rules).map(([label, patterns]) => ({
+            label,
+            patterns: patterns.map(pattern => LabelRules.compilePattern(pattern))
+        }));
+    }
+
+    static compilePattern(pattern) {
+        const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        // g and y make test() stateful between items
+        if (regex) return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+
+        const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+    }
+
+    // Throws with the offending line number so the editor can point at it
+    static parse(text) {
+        const rules = {};
+        let label = null;
+
+        text.split('\n').forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const header = line.match(/^\[(.+)\]$/);
+            if (header) {
+                label = header[1].trim();
+                rules[label] = rules[label] || [];
+                return;
+            }
+
+            if (!label) throw new Error(`Line ${index + 1}: add a [Category] line before its patterns`);
+            try {
+                LabelRules.compilePattern(line);
+            } catch (error) {
+                throw new Error(`Line ${index + 1}: ${error.message}`);
+            }
+            rules[label].push(line);
+        });
+
+        return rules;
+    }
+
+    static format(rules) {
+        const blocks = Object.entries(rules).map(([label, patterns]) => [`[${label}]`, ...patterns].join('\n'));
+        return [LABEL_RULES_HELP, ...blocks].join('\n\n') + '\n';
+    }
+
+    match(item) {
+        const text = [item.title, item.summary, ...(item.ideas || [])].filter(Boolean).join('\n');
+        return this.compiled
+            .filter(({ patterns }) => patterns.some(pattern => pattern.test(text)))
+            .map(({ label }) => label);
+    }
+}
+
+/**
+ * Zoned calendar
+ * Feed timestamps are naive ISO strings (no offset), written in the feed's
+ * zone: UTC unless feed.json or index.json declare a `timezone`. Strings that
+ * carry Z or an offset are taken as they are. Day buckets are then worked
+ * out in the reader's zone, the browser's unless they picked one. Days are
+ * numbered from 1970-01-01 so consecutive local days differ by one, across
+ * DST changes too.
+ */
+class ZonedCalendar {
+    constructor(feedZone = FEED_TIMEZONE, zone = '') {
+        this.feedZone = ZonedCalendar.isValidZone(feedZone) ? feedZone : FEED_TIMEZONE;
+        this.zone = ZonedCalendar.isValidZone(zone) ? zone : ZonedCalendar.browserZone();
+        this.formatters = new Map();
+        this.times = new Map();
+        this.days = new Map();
+        this.todayCache = null;
+    }
+
+    static browserZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    static isValidZone(zone) {
+        if (!zone || typeof zone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    static zones() {
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        return [...new Set(['UTC', ZonedCalendar.browserZone(), ...zones])].sort();
+    }
+
+    // Wall-clock fields of an instant in a zone
+    wallTime(ms, zone = this.zone) {
+        let formatter = this.formatters.get(zone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+            this.formatters.set(zone, formatter);
+        }
+
+        const fields = {};
+        formatter.formatToParts(new Date(ms)).forEach(({ type, value }) => {
+            if (type !== 'literal') fields[type] = parseInt(value, 10);
+        });
+        return fields;
+    }
+
+    // How far the zone's clocks are ahead of UTC at an instant
+    offset(ms, zone) {
+        const wall = this.wallTime(ms, zone);
+        const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+        return asUtc - (ms - (((ms % 1000) + 1000) % 1000));
+    }
+
+    // The instant a zone's clocks show a wall-clock time; the second pass settles DST edges
+    fromWallTime(fields, zone) {
+        const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day,
+            fields.hour || 0, fields.minute || 0, fields.second || 0, fields.ms || 0);
+        if (zone === 'UTC') return asUtc;
+
+        const guess = asUtc - this.offset(asUtc, zone);
+        return asUtc - this.offset(guess, zone);
+    }
+
+    parse(dateStr) {
+        if (!dateStr) return NaN;
+        if (this.times.has(dateStr)) return this.times.get(dateStr);
+
+        const naive = String(dateStr).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/);
+        const ms = naive
+            ? this.fromWallTime({
+                year: +naive[1],
+                month: +naive[2],
+                day: +naive[3],
+                hour: +(naive[4] || 0),
+                minute: +(naive[5] || 0),
+                second: +(naive[6] || 0),
+                ms: +(naive[7] || '0').slice(0, 3).padEnd(3, '0')
+            }, this.feedZone)
+            : Date.parse(dateStr);
+
+        this.times.set(dateStr, ms);
+        return ms;
+    }
+
+    dayNumber(ms) {
+        if (isNaN(ms)) return NaN;
+        if (this.days.has(ms)) return this.days.get(ms);
+
+        const wall = this.wallTime(ms);
+        const day = Date.UTC(wall.year, wall.month - 1, wall.day) / DAY_MS;
+        this.days.set(ms, day);
+        return day;
+    }
+
+    // Asked once per item per bucket, so the answer is kept for a minute
+    today() {
+        const now = Date.now();
+        if (!this.todayCache || now - this.todayCache.at > 60 * 1000) {
+            const wall = this.wallTime(now);
+            this.todayCache = { at: now, day: Date.UTC(wall.year, wall.month - 1, wall.day) / DAY_MS };
+        }
+        return this.todayCache.day;
+    }
+
+    // Monday is 0, as in ISO weeks
+    weekday(day) {
+        return (new Date(day * DAY_MS).getUTCDay() + 6) % 7;
+    }
+
+    monthOf(day) {
+        return new Date(day * DAY_MS).toISOString().slice(0, 7);
+    }
+
+    // YYYY-MM-DD, the format of <input type="date"> and of range links
+    dayKey(day) {
+        return new Date(day * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    dayFromKey(key) {
+        return DAY_KEY_PATTERN.test(key || '') ? Date.parse(`${key}T00:00:00Z`) / DAY_MS : NaN;
+    }
+
+    formatDay(day, options = { month: 'short', day: 'numeric' }) {
+        return new Date(day * DAY_MS).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    }
+}
+
+class FeedSieve {
+    constructor() {
+        this.items = [];
+        this.filteredItems = [];
+        this.currentFilter = 'today';
+        this.facets = { types: [], sources: [], categories: [] };
+        this.currentIdea = null;
+        this.dateRange = { from: null, to: null };
+        this.searchQuery = '';
+        this.searchIndex = new Map();
+        this.searchTokens = [];
+        this.searchDocs = new Map();
+        this.searchScores = null;
+        this.searchHighlights = [];
+        this.sortBy = 'date';
+        this.store = new ReaderStore();
+        this.readerSync = null;
+        this.minRating = this.store.getPreference('minRating');
+        this.sources = {};
+        this.sourceTypes = new SourceTypeRegistry(SOURCE_TYPES);
+        this.categories = {};
+        this.inferredCategories = {};
+        this.labelRules = new LabelRules(this.store.getPreference('labelRules') || DEFAULT_LABEL_RULES);
+        this.inferredLabels = new Map();
+        this.labelRulesOverlay = null;
+        this.calendar = new ZonedCalendar(FEED_TIMEZONE, this.store.getPreference('timezone'));
+        this.weekMode = this.store.getPreference('weekMode');
+        this.timeSettingsOverlay = null;
+        this.ideaTerms = new Map();
+        this.ideaClusterCount = null;
+        this.ideaIndexTask = null;
+        this.ideaClusters = [];
+        this.renderedClusters = 0;
+        this.expandedGroups = new Set();
+        this.unreadOnly = this.store.getPreference('unreadOnly');
+        this.activeModal = null;
+        this.openItemId = null;
+        this.readingPane = this.store.getPreference('readingPane');
+        this.splitQuery = null;
+        this.youTubeApi = null;
+        this.videoPlayer = null;
+        this.podcastPlayer = null;
+        this.threads = new Map();
+        this.expandedThreads = new Set();
+        this.feedUpdatedAt = null;
+        this.feedFromCache = false;
+        this.feedManifest = null;
+        this.loadedShards = new Set();
+        this.archiveLoading = null;
+        this.feedValidators = new Map();
+        this.newItems = [];
+        this.newItemsUpdatedAt = null;
+        this.lastPollAt = 0;
+        this.polling = null;
+        this.focusedItemId = null;
+        this.renderedCount = 0;
+        this.pendingGoto = null;
+        this.helpOverlay = null;
+        this.init();
+    }
+
+    async init() {
+        const route = this.parseHash(window.location.hash);
+        this.setViewState(route);
+        this.bindEvents();
+        this.renderSourceLists();
+        this.setupListRendering();
+        this.setupKeyboardShortcuts();
+        this.setupReadingPane();
+        this.setupPodcastPlayer();
+        this.setupSmartFolders();
+        this.setupMobileMenu();
+        this.registerServiceWorker();
+        this.setupInstallPrompt();
+        this.setupSync();
+        this.setupLiveRefresh();
+        await this.loadFeed();
+        this.preloadArchives(route);
+        this.openRouteItem(route.item);
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+
+        // The worker answers from cache first, then reports whether the network copy differed.
+        // A changed feed is offered through the new-articles pill rather than swapped in.
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type !== 'feed-revalidated') return;
+            this.updateCacheBanner(false);
+            if (e.data.changed) this.checkForUpdates();
+        });
+
+        window.addEventListener('online', () => {
+            if (this.feedFromCache) this.loadFeed();
+        });
+        window.addEventListener('offline', () => {
+            if (this.feedFromCache) this.updateCacheBanner(true);
+        });
+    }
+
+    // Chromium offers installation via beforeinstallprompt; we surface it in the sidebar footer
+    setupInstallPrompt() {
+        const installBtn = document.getElementById('install-btn');
+        if (!installBtn) return;
+
+        let deferredPrompt = null;
+
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            deferredPrompt = e;
+            installBtn.classList.remove('hidden');
+        });
+
+        installBtn.addEventListener('click', async () => {
+            if (!deferredPrompt) return;
+            deferredPrompt.prompt();
+            await deferredPrompt.userChoice;
+            deferredPrompt = null;
+            installBtn.classList.add('hidden');
+        });
+
+        window.addEventListener('appinstalled', () => {
+            deferredPrompt = null;
+            installBtn.classList.add('hidden');
+        });
+    }
+
+    /**
+     * Cross-device sync of read/saved state
+     */
+    setupSync() {
+        document.getElementById('sync-btn')?.addEventListener('click', () => this.configureSync());
+
+        window.addEventListener('online', () => this.readerSync?.sync());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.readerSync?.sync();
+        });
+
+        this.startSync(this.store.getPreference('syncEndpoint'));
+    }
+
+    startSync(endpoint) {
+        this.readerSync?.stop();
+        this.readerSync = null;
+
+        if (!endpoint) {
+            this.updateSyncStatus('off');
+            return;
+        }
+
+        this.readerSync = new ReaderSync(this.store, new HttpSyncAdapter(endpoint), {
+            onRemoteChange: () => this.refreshFromStore(),
+            onStatus: (status) => this.updateSyncStatus(status)
+        });
+        this.readerSync.start();
+    }
+
+    configureSync() {
+        const current = this.store.getPreference('syncEndpoint') || '';
+        const endpoint = prompt('Sync endpoint URL (leave empty to turn sync off):', current);
+        if (endpoint === null) return;
+
+        const trimmed = endpoint.trim();
+        if (trimmed === current && this.readerSync) {
+            this.readerSync.sync();
+            return;
+        }
+
+        this.store.setPreference('syncEndpoint', trimmed);
+        this.startSync(trimmed);
+    }
+
+    scheduleSync() {
+        this.readerSync?.schedule();
+    }
+
+    updateSyncStatus(status) {
+        const btn = document.getElementById('sync-btn');
+        if (!btn) return;
+
+        const labels = {
+            off: 'Sync is off — click to set an endpoint',
+            offline: 'Offline — changes will sync when back online',
+            syncing: 'Syncing…',
+            synced: `Synced ${new Date().toLocaleTimeString()}`,
+            error: 'Last sync failed — will retry'
+        };
+        btn.dataset.status = status;
+        btn.title = labels[status] || '';
+    }
+
+    setupMobileMenu() {
+        const menuToggle = document.getElementById('mobile-menu-toggle');
+        const sidebar = document.getElementById('sidebar');
+        const overlay = document.getElementById('sidebar-overlay');
+
+        if (!menuToggle || !sidebar || !overlay) return;
+
+        const closeSidebar = () => {
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+            menuToggle.classList.remove('active');
+            document.body.style.overflow = '';
+        };
+
+        const openSidebar = () => {
+            sidebar.classList.add('open');
+            overlay.classList.add('active');
+            menuToggle.classList.add('active');
+            document.body.style.overflow = 'hidden';
+        };
+
+        menuToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (sidebar.classList.contains('open')) {
+                closeSidebar();
+            } else {
+                openSidebar();
+            }
+        });
+
+        overlay.addEventListener('click', closeSidebar);
+
+        // Close sidebar when nav item is clicked on mobile
+        sidebar.addEventListener('click', (e) => {
+            if (e.target.closest('.nav-item:not(.nav-parent)') && window.innerWidth <= 768) {
+                setTimeout(closeSidebar, 150);
+            }
+        });
+
+        // Close sidebar on window resize to desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768 && sidebar.classList.contains('open')) {
+                closeSidebar();
+            }
+        });
+    }
+
+    bindEvents() {
+        // Timeline filter buttons; type groups are bound as renderSourceLists builds them
+        document.querySelectorAll('.nav-item:not(.nav-parent):not(.nav-child)').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleFilterClick(e));
+        });
+
+        // Active filter chips
+        document.getElementById('filter-chips')?.addEventListener('click', (e) => {
+            if (e.target.closest('.filter-chips-clear')) {
+                this.clearFacets();
+                return;
+            }
+            const chip = e.target.closest('.filter-chip');
+            if (chip) this.removeFacet(chip.dataset.facet, chip.dataset.value);
+        });
+
+        // Search
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                this.searchQuery = e.target.value.toLowerCase();
+                this.applyFilters();
+                this.updateRoute();
+
+                // Searches should reach past the loaded window
+                if (this.searchQuery) this.loadAllArchives();
+            });
+        }
+
+        // Sort
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                this.sortBy = e.target.value;
+                this.applyFilters();
+                this.updateRoute();
+            });
+        }
+
+        // Unread only
+        const unreadToggle = document.getElementById('unread-only-toggle');
+        if (unreadToggle) {
+            unreadToggle.setAttribute('aria-pressed', this.unreadOnly);
+            unreadToggle.addEventListener('click', () => {
+                this.unreadOnly = !this.unreadOnly;
+                this.store.setPreference('unreadOnly', this.unreadOnly);
+                unreadToggle.setAttribute('aria-pressed', this.unreadOnly);
+                this.applyFilters();
+            });
+        }
+
+        document.getElementById('nitter-host-btn')?.addEventListener('click', () => this.configureNitterHost());
+        document.getElementById('label-rules-btn')?.addEventListener('click', () => this.showLabelRules());
+        document.getElementById('time-settings-btn')?.addEventListener('click', () => this.showTimeSettings());
+
+        // Date range
+        ['range-from', 'range-to'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.setDateRange(document.getElementById('range-from').value, document.getElementById('range-to').value);
+            });
+        });
+
+        // State export / import
+        document.getElementById('export-state')?.addEventListener('click', () => this.exportState());
+        const importFile = document.getElementById('import-state-file');
+        if (importFile) {
+            document.getElementById('import-state')?.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.importState(file);
+            });
+        }
+
+        // Bulk mark as read
+        const markReadSelect = document.getElementById('mark-read-select');
+        if (markReadSelect) {
+            markReadSelect.addEventListener('change', (e) => {
+                const value = e.target.value;
+                e.target.value = '';
+                if (value === 'view') {
+                    this.markItemsAsRead(this.filteredItems);
+                } else if (value) {
+                    this.markOlderAsRead(parseInt(value, 10));
+                }
+            });
+        }
+
+        // Minimum rating
+        const minRatingInput = document.getElementById('min-rating');
+        if (minRatingInput) {
+            minRatingInput.value = this.minRating;
+            this.updateMinRatingLabel();
+            minRatingInput.addEventListener('input', (e) => {
+                this.minRating = parseInt(e.target.value, 10) || 0;
+                this.store.setPreference('minRating', this.minRating);
+                this.updateMinRatingLabel();
+                this.applyFilters();
+            });
+        }
+
+        // Back/forward through filter changes and modal opens
+        window.addEventListener('popstate', () => {
+            this.applyRoute(this.parseHash(window.location.hash));
+        });
+    }
+
+    /**
+     * Keyboard navigation
+     * A focus cursor over filteredItems, driven by the bindings in KEYBOARD_SHORTCUTS
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const target = e.target;
+        const isTyping = target.matches?.('input, textarea, select, [contenteditable="true"]');
+        if (isTyping) {
+            if (e.key === 'Escape' && target.id === 'search-input') target.blur();
+            if (e.key === 'Escape' && this.labelRulesOverlay?.contains(target)) this.closeLabelRules();
+            if (e.key === 'Escape' && this.timeSettingsOverlay?.contains(target)) this.closeTimeSettings();
+            return;
+        }
+
+        if (this.labelRulesOverlay) {
+            if (e.key === 'Escape') this.closeLabelRules();
+            return;
+        }
+
+        if (this.timeSettingsOverlay) {
+            if (e.key === 'Escape') this.closeTimeSettings();
+            return;
+        }
+
+        if (this.helpOverlay) {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                this.closeShortcutHelp();
+            }
+            return;
+        }
+
+        // The modal owns Escape; only item actions make sense behind it
+        if (this.activeModal) {
+            const item = this.findItem(this.openItemId);
+            if (e.key === 'v') this.openOriginal(item);
+            if (e.key === 's' && item) this.toggleSaved(item);
+            return;
+        }
+
+        if (this.pendingGoto) {
+            clearTimeout(this.pendingGoto);
+            this.pendingGoto = null;
+            const filter = GOTO_FILTERS[e.key];
+            if (filter) {
+                e.preventDefault();
+                document.querySelector(`.nav-item[data-filter="${filter}"]`)?.click();
+            }
+            return;
+        }
+
+        // The Ideas view lists clusters rather than cards, so there is no article cursor to drive
+        if (this.currentFilter === 'ideas' && ['j', 'k', 'Enter', 'o', 'v', 's', 'u'].includes(e.key)) return;
+
+        switch (e.key) {
+            case 'j':
+                this.moveFocus(1);
+                this.followFocusInPane();
+                break;
+            case 'k':
+                this.moveFocus(-1);
+                this.followFocusInPane();
+                break;
+            case 'Enter':
+            case 'o': {
+                // A focused button or link keeps its own Enter
+                if (target !== document.body && !target.matches?.('.article-item')) return;
+                const item = this.getFocusedItem();
+                if (!item) return;
+                this.openItem(item);
+                break;
+            }
+            case 'v':
+                this.openOriginal(this.getFocusedItem());
+                break;
+            case 's': {
+                const item = this.getFocusedItem();
+                if (!item) return;
+                this.toggleSaved(item);
+                break;
+            }
+            case 'u': {
+                const item = this.getFocusedItem();
+                if (!item) return;
+                if (this.isRead(item.id)) {
+                    this.markAsUnread(item.id);
+                } else {
+                    this.markAsRead(item.id);
+                }
+                break;
+            }
+            case '/':
+                document.getElementById('search-input')?.focus();
+                break;
+            case 'g':
+                this.pendingGoto = setTimeout(() => { this.pendingGoto = null; }, 1000);
+                break;
+            case '?':
+                this.showShortcutHelp();
+                break;
+            case 'Escape':
+                if (this.openItemId === null) return;
+                this.closeReaderPane();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+    }
+
+    getFocusedItem() {
+        if (this.focusedItemId === null) return null;
+        return this.filteredItems.find(i => i.id === this.focusedItemId) || null;
+    }
+
+    moveFocus(delta) {
+        if (this.filteredItems.length === 0) return;
+
+        const last = this.filteredItems.length - 1;
+        const current = this.filteredItems.findIndex(i => i.id === this.focusedItemId);
+        let next = current === -1
+            ? (delta > 0 ? 0 : last)
+            : Math.min(Math.max(current + delta, 0), last);
+
+        // Replies in a collapsed thread are not on screen, so step over them
+        while (this.isCollapsedReply(this.filteredItems[next]) && next + delta >= 0 && next + delta <= last) {
+            next += delta;
+        }
+        if (this.isCollapsedReply(this.filteredItems[next])) {
+            if (current === -1) return;
+            next = current;
+        }
+
+        this.focusedItemId = this.filteredItems[next].id;
+        this.ensureRendered(next);
+        this.applyKeyboardFocus(true);
+    }
+
+    applyKeyboardFocus(scroll = false) {
+        const list = document.getElementById('article-list');
+        list.querySelectorAll('.article-item.keyboard-focus').forEach(el => el.classList.remove('keyboard-focus'));
+
+        if (this.focusedItemId === null) return;
+        const article = list.querySelector(`.article-item[data-item-id="${this.focusedItemId}"]`);
+        if (!article) return;
+
+        article.classList.add('keyboard-focus');
+        if (scroll) article.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    openOriginal(item) {
+        if (!item) return;
+        const url = item.original_url || item.url;
+        if (!url) return;
+        this.markAsRead(item.id);
+        window.open(this.rewriteSocialUrl(url), '_blank', 'noopener');
+    }
+
+    showShortcutHelp() {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-content shortcut-help" role="dialog" aria-label="Keyboard shortcuts">
+                <button class="modal-close">&times;</button>
+                <h2 class="modal-title">Keyboard Shortcuts</h2>
+                <dl class="shortcut-list">
+                    ${KEYBOARD_SHORTCUTS.map(({ keys, description }) => `
+                        <dt>${keys.map(key => key.split(' ').map(k => `<kbd>${this.escapeHtml(k)}</kbd>`).join(' then ')).join(' / ')}</dt>
+                        <dd>${description}</dd>
+                    `).join('')}
+                </dl>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.helpOverlay = overlay;
+
+        overlay.querySelector('.modal-close').addEventListener('click', () => this.closeShortcutHelp());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeShortcutHelp();
+        });
+    }
+
+    closeShortcutHelp() {
+        if (!this.helpOverlay) return;
+        this.helpOverlay.remove();
+        this.helpOverlay = null;
+    }
+
+    /**
+     * URL hash routing
+     * Format: #/<filter>[/<idea>][?from=&to=&type=&source=&category=&q=&sort=&item=]
+     * type, source (<type>:<id>) and category repeat once per selected value;
+     * from and to (YYYY-MM-DD, either may be left open) belong to the range filter.
+     * Older single-facet links (#/youtube, #/source/<type>/<id>, #/category/<name>)
+     * still open, as that facet over all articles.
+     */
+    getViewState() {
+        return {
+            filter: this.currentFilter,
+            types: [...this.facets.types],
+            sources: [...this.facets.sources],
+            categories: [...this.facets.categories],
+            idea: this.currentIdea,
+            from: this.dateRange.from,
+            to: this.dateRange.to,
+            search: this.searchQuery,
+            sort: this.sortBy,
+            item: this.openItemId
+        };
+    }
+
+    setViewState(state) {
+        this.currentFilter = state.filter;
+        this.facets = {
+            types: [...state.types],
+            sources: [...state.sources],
+            categories: [...state.categories]
+        };
+        this.currentIdea = state.idea;
+        this.dateRange = { from: state.from || null, to: state.to || null };
+        this.searchQuery = state.search;
+        this.sortBy = state.sort;
+    }
+
+    buildHash(state) {
+        let path = `#/${state.filter}`;
+        if (state.filter === 'idea' && state.idea) {
+            path += `/${encodeURIComponent(state.idea)}`;
+        }
+
+        // Sorted so a selection always gives the same link, whatever order it was picked in
+        const params = new URLSearchParams();
+        if (state.filter === 'range') {
+            if (state.from) params.set('from', state.from);
+            if (state.to) params.set('to', state.to);
+        }
+        FACETS.forEach(({ key, param }) => {
+            [...state[key]].sort().forEach(value => params.append(param, value));
+        });
+        if (state.search) params.set('q', state.search);
+        if (state.sort !== 'date') params.set('sort', state.sort);
+        if (state.item !== null && state.item !== undefined) params.set('item', state.item);
+
+        const query = params.toString();
+        return query ? `${path}?${query}` : path;
+    }
+
+    parseHash(hash) {
+        const state = {
+            filter: 'today',
+            types: [],
+            sources: [],
+            categories: [],
+            idea: null,
+            from: null,
+            to: null,
+            search: '',
+            sort: 'date',
+            item: null
+        };
+
+        const raw = (hash || '').replace(/^#\/?/, '');
+        if (!raw) return state;
+
+        const queryStart = raw.indexOf('?');
+        const path = queryStart === -1 ? raw : raw.slice(0, queryStart);
+        const query = queryStart === -1 ? '' : raw.slice(queryStart + 1);
+
+        let segments;
+        try {
+            segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch {
+            return state;
+        }
+
+        const [filter, ...rest] = segments;
+        if (filter === 'source' && rest.length >= 2) {
+            state.filter = 'all';
+            state.sources = [`${rest[0]}:${rest[1]}`];
+        } else if (filter === 'category' && rest.length >= 1) {
+            state.filter = 'all';
+            state.categories = [rest[0]];
+        } else if (filter === 'idea' && rest.length >= 1) {
+            state.filter = 'idea';
+            state.idea = rest[0];
+        } else if (TIMELINE_FILTERS.includes(filter)) {
+            state.filter = filter;
+        } else if (this.isTypeFilter(filter)) {
+            state.filter = 'all';
+            state.types = [filter];
+        }
+
+        const params = new URLSearchParams(query);
+        const valid = {
+            types: type => this.isTypeFilter(type),
+            sources: source => /^[^:]+:./.test(source),
+            categories: category => category.length > 0
+        };
+        FACETS.forEach(({ key, param }) => {
+            state[key] = [...new Set([...state[key], ...params.getAll(param).filter(valid[key])])];
+        });
+
+        if (state.filter === 'range') {
+            ['from', 'to'].forEach(key => {
+                const value = params.get(key);
+                if (!isNaN(this.calendar.dayFromKey(value))) state[key] = value;
+            });
+        }
+
+        state.search = (params.get('q') || '').toLowerCase();
+        if (SORT_OPTIONS.includes(params.get('sort'))) {
+            state.sort = params.get('sort');
+        }
+        const itemId = parseInt(params.get('item'), 10);
+        if (!isNaN(itemId)) state.item = itemId;
+
+        return state;
+    }
+
+    // Filter changes and modal opens push a history entry; search and sort replace it
+    updateRoute(push = false, historyState = null) {
+        const hash = this.buildHash(this.getViewState());
+        if (hash === window.location.hash) return;
+
+        if (push) {
+            history.pushState(historyState, '', hash);
+        } else {
+            history.replaceState(historyState ?? history.state, '', hash);
+        }
+    }
+
+    applyRoute(route) {
+        const viewChanged = this.buildHash({ ...this.getViewState(), item: null }) !==
+            this.buildHash({ ...route, item: null });
+
+        if (viewChanged) {
+            this.setViewState(route);
+            this.syncViewControls();
+            this.applyFilters();
+            this.preloadArchives(route);
+        }
+
+        if (route.item === null) {
+            this.closeItem(true);
+        } else if (route.item !== this.openItemId) {
+            this.openRouteItem(route.item);
+        }
+    }
+
+    openRouteItem(itemId) {
+        if (itemId === null) return;
+        const item = this.findItem(itemId);
+        if (item) this.openItem(item, true);
+    }
+
+    // Reflect the current view state in the sidebar, header and inputs
+    syncViewControls() {
+        const searchInput = document.getElementById('search-input');
+        if (searchInput && searchInput.value.toLowerCase() !== this.searchQuery) {
+            searchInput.value = this.searchQuery;
+        }
+
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) sortSelect.value = this.sortBy;
+        this.syncDateRangeInputs();
+
+        // Selected sources sit inside their type group, so open it
+        document.querySelectorAll('.nav-child').forEach(btn => {
+            if (!this.facets.sources.includes(`${btn.dataset.sourceType}:${btn.dataset.sourceId}`)) return;
+            const group = btn.closest('.nav-group');
+            if (group && !group.classList.contains('expanded')) {
+                this.expandedGroups.add(group.dataset.type);
+                group.classList.add('expanded');
+                const toggle = group.querySelector('.nav-toggle');
+                if (toggle) toggle.textContent = '▲';
+            }
+        });
+
+        // A view lights up its timeline entry and every selected facet, or just its smart folder
+        const folder = this.findActiveFolder();
+        const activeButtons = folder
+            ? [...document.querySelectorAll('[data-filter="folder"]')].filter(btn => btn.dataset.folderId === folder.id)
+            : [...document.querySelectorAll('.nav-item')].filter(btn => this.isNavSelected(btn));
+
+        document.querySelectorAll('.nav-item').forEach(btn => btn.classList.remove('active'));
+        activeButtons.forEach(btn => btn?.classList.add('active'));
+
+        document.getElementById('feed-title').textContent = folder ? folder.name : this.getViewTitle(this.getViewState());
+        this.renderFilterChips();
+    }
+
+    isNavSelected(btn) {
+        const filter = btn.dataset.filter;
+        if (btn.classList.contains('nav-parent')) return this.facets.types.includes(filter);
+        if (filter === 'source') return this.facets.sources.includes(`${btn.dataset.sourceType}:${btn.dataset.sourceId}`);
+        if (filter === 'category') return this.facets.categories.includes(btn.dataset.category);
+        return filter === this.currentFilter;
+    }
+
+    async loadFeed() {
+        try {
+            const { data, fromCache } = await this.fetchFeed();
+            this.feedUpdatedAt = data.updated_at;
+            this.setCalendar(data.timezone, this.store.getPreference('timezone'));
+            this.items = data.items || [];
+            this.newItems = [];
+            this.lastPollAt = Date.now();
+            this.rebuildIndexes();
+            this.applyFilters();
+            this.updateLastUpdated(data.updated_at);
+            this.updateCacheBanner(fromCache);
+            this.updateNewItemsPill();
+        } catch (error) {
+            console.error('Failed to load feed:', error);
+            this.showError();
+        }
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.rememberValidators(url, response);
+        return {
+            data: await response.json(),
+            fromCache: response.headers.get(FEED_CACHE_HEADER) === 'hit'
+        };
+    }
+
+    /**
+     * Sharded feed
+     * data/index.json lists dated shard files, newest first. Only the latest shard
+     * loads up front; older ones are fetched on demand. Without an index we fall
+     * back to the single data/feed.json. Both are requested together, so a
+     * deployment that does not shard pays no extra round trip for the index.
+     */
+    async fetchFeed() {
+        this.loadedShards = new Set();
+
+        const [index, single] = await Promise.allSettled([
+            this.fetchJson(FEED_INDEX_URL),
+            this.fetchJson(FEED_URL)
+        ]);
+
+        if (index.status === 'rejected' || !Array.isArray(index.value.data.shards)) {
+            this.feedManifest = null;
+            if (single.status === 'rejected') throw single.reason;
+            return single.value;
+        }
+
+        const manifest = index.value;
+        this.feedManifest = manifest.data;
+        const latest = this.feedManifest.shards[0];
+        const items = latest ? await this.fetchShard(latest) : [];
+
+        return {
+            data: { updated_at: this.feedManifest.updated_at, timezone: this.feedManifest.timezone, items },
+            fromCache: manifest.fromCache
+        };
+    }
+
+    async fetchShard(shard) {
+        const { data } = await this.fetchJson(shard.url);
+        this.loadedShards.add(shard.url);
+        return data.items || [];
+    }
+
+    hasMoreArchives() {
+        return Boolean(this.feedManifest) &&
+            this.feedManifest.shards.some(shard => !this.loadedShards.has(shard.url));
+    }
+
+    loadNextArchive() {
+        return this.loadArchives(shards => shards.slice(0, 1));
+    }
+
+    loadAllArchives() {
+        return this.loadArchives(shards => shards);
+    }
+
+    // Shards are newest first, so stop at the first one that ends before the range starts
+    loadArchivesFrom(dayKey) {
+        const fromDay = this.calendar.dayFromKey(dayKey);
+        return this.loadArchives(shards => {
+            const end = shards.findIndex(shard => this.calendar.dayNumber(this.calendar.parse(shard.to)) < fromDay);
+            return end === -1 ? shards : shards.slice(0, end);
+        });
+    }
+
+    // Fetch the shards pick() chooses from those still missing, then merge them and
+    // rebuild the indexes once. A call made during another load waits for it first.
+    async loadArchives(pick) {
+        while (this.archiveLoading) await this.archiveLoading;
+        if (!this.hasMoreArchives()) return false;
+
+        const shards = pick(this.feedManifest.shards.filter(shard => !this.loadedShards.has(shard.url)));
+        if (shards.length === 0) return false;
+        this.setArchiveLoading(true);
+
+        this.archiveLoading = Promise.allSettled(shards.map(shard => this.fetchShard(shard)))
+            .then(results => {
+                const known = new Set(this.items.map(item => item.id));
+                const added = [];
+                results.forEach((result, index) => {
+                    if (result.status === 'rejected') {
+                        console.error(`Failed to load archive ${shards[index].url}:`, result.reason);
+                        return;
+                    }
+                    result.value.forEach(item => {
+                        if (known.has(item.id)) return;
+                        known.add(item.id);
+                        added.push(item);
+                    });
+                });
+
+                if (results.some(result => result.status === 'fulfilled')) {
+                    this.items = this.items.concat(added);
+                    this.rebuildIndexes();
+                    this.applyFilters({ keepRendered: true });
+                }
+                return results.every(result => result.status === 'fulfilled');
+            })
+            .finally(() => {
+                this.archiveLoading = null;
+                this.setArchiveLoading(false);
+            });
+
+        return this.archiveLoading;
+    }
+
+    setArchiveLoading(loading) {
+        document.getElementById('load-more')?.classList.toggle('loading-archive', loading);
+    }
+
+    /**
+     * Live refresh
+     * Polls the feed (or shard index) with conditional requests, collects items
+     * whose id we have not seen and offers them through a pill above the list.
+     */
+    setupLiveRefresh() {
+        document.getElementById('new-items-pill')?.addEventListener('click', () => this.showNewItems());
+
+        setInterval(() => this.checkForUpdates(), FEED_POLL_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible') return;
+            if (Date.now() - this.lastPollAt >= FEED_POLL_MIN_GAP_MS) this.checkForUpdates();
+        });
+    }
+
+    rememberValidators(url, response) {
+        const etag = response.headers.get('ETag');
+        const lastModified = response.headers.get('Last-Modified');
+        if (etag || lastModified) {
+            this.feedValidators.set(url, { etag, lastModified });
+        }
+    }
+
+    // Resolves to null on 304; no-cache also tells the service worker to go to the network
+    async fetchIfChanged(url) {
+        const headers = {};
+        const validators = this.feedValidators.get(url);
+        if (validators?.etag) headers['If-None-Match'] = validators.etag;
+        if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+        const response = await fetch(url, { cache: 'no-cache', headers });
+        if (response.status === 304) return null;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.rememberValidators(url, response);
+        return response.json();
+    }
+
+    // Concurrent callers (timer, tab focus, worker message) share one request
+    checkForUpdates() {
+        if (this.polling) return this.polling;
+        // Nothing to diff against until the first load has finished
+        if (!this.lastPollAt || !navigator.onLine) return Promise.resolve(0);
+
+        this.lastPollAt = Date.now();
+        this.polling = (this.feedManifest ? this.pollShards() : this.pollFeed())
+            .then(update => update ? this.collectNewItems(update) : 0)
+            .catch(error => {
+                console.error('Feed refresh failed:', error);
+                return 0;
+            })
+            .finally(() => {
+                this.polling = null;
+            });
+
+        return this.polling;
+    }
+
+    async pollFeed() {
+        const data = await this.fetchIfChanged(FEED_URL);
+        return data && { updated_at: data.updated_at, items: data.items || [] };
+    }
+
+    // New shards plus the one that was latest before (it may have grown since)
+    async pollShards() {
+        const manifest = await this.fetchIfChanged(FEED_INDEX_URL);
+        if (!manifest || !Array.isArray(manifest.shards)) return null;
+
+        const known = new Set(this.feedManifest.shards.map(shard => shard.url));
+        const previousLatest = this.feedManifest.shards[0]?.url;
+        const changed = manifest.shards.filter(shard => !known.has(shard.url) || shard.url === previousLatest);
+
+        const items = [];
+        for (const shard of changed) {
+            const data = await this.fetchIfChanged(shard.url);
+            if (data) items.push(...(data.items || []));
+            this.loadedShards.add(shard.url);
+        }
+
+        this.feedManifest = manifest;
+        return { updated_at: manifest.updated_at, items };
+    }
+
+    collectNewItems({ updated_at, items }) {
+        const known = new Set(this.items.map(item => item.id));
+        this.newItems.forEach(item => known.add(item.id));
+
+        const fresh = items.filter(item => !known.has(item.id));
+        this.newItems = this.newItems.concat(fresh);
+        if (updated_at) this.newItemsUpdatedAt = updated_at;
+
+        // Nothing new to show, but the timestamp still moved forward
+        if (this.newItems.length === 0 && updated_at) {
+            this.feedUpdatedAt = updated_at;
+            this.updateLastUpdated(updated_at);
+        }
+
+        this.updateNewItemsPill();
+        return fresh.length;
+    }
+
+    updateNewItemsPill() {
+        const pill = document.getElementById('new-items-pill');
+        if (!pill) return;
+
+        const count = this.newItems.length;
+        pill.textContent = `${count} new article${count !== 1 ? 's' : ''} — show`;
+        pill.classList.toggle('hidden', count === 0);
+    }
+
+    // Merge pending items in; away from the top, the article in view stays put
+    showNewItems() {
+        if (this.newItems.length === 0) return;
+
+        const anchor = window.scrollY > 0 ? this.getScrollAnchor() : null;
+
+        this.items = this.newItems.concat(this.items);
+        this.newItems = [];
+        if (this.newItemsUpdatedAt) {
+            this.feedUpdatedAt = this.newItemsUpdatedAt;
+            this.updateLastUpdated(this.newItemsUpdatedAt);
+        }
+        this.updateNewItemsPill();
+
+        this.rebuildIndexes();
+        this.applyFilters({ keepRendered: true });
+
+        if (anchor) {
+            this.restoreScrollAnchor(anchor);
+        } else {
+            window.scrollTo({ top: 0 });
+        }
+    }
+
+    getScrollAnchor() {
+        const headerHeight = document.querySelector('.content-header')?.offsetHeight || 0;
+        const card = [...document.querySelectorAll('#article-list .article-item')]
+            .find(el => el.getBoundingClientRect().bottom > headerHeight);
+        return card && { id: card.dataset.itemId, top: card.getBoundingClientRect().top };
+    }
+
+    restoreScrollAnchor({ id, top }) {
+        // New items push the anchor down; make sure its page is still rendered
+        this.ensureRendered(this.filteredItems.findIndex(item => String(item.id) === id));
+        const card = document.querySelector(`#article-list .article-item[data-item-id="${id}"]`);
+        if (card) window.scrollBy(0, card.getBoundingClientRect().top - top);
+    }
+
+    // Everything derived from this.items; run after the item set changes
+    rebuildIndexes() {
+        // Read marks for unloaded archives must survive, so prune only with the full set
+        if (this.items.length > 0 && !this.hasMoreArchives()) {
+            this.store.prune(this.items.map(item => item.id));
+        }
+        this.buildSourceIndex();
+        this.applyLabelRules();
+        this.buildCategoryIndex();
+        this.buildSearchIndex();
+        this.buildIdeaIndex();
+        this.renderSourceLists();
+        this.renderCategoriesList();
+        this.updateCounts();
+        this.syncViewControls();
+    }
+
+    buildSourceIndex() {
+        this.sources = {};
+        this.items.forEach(item => {
+            const type = item.source_type || 'rss';
+            const sourceName = item.source_name || 'Unknown';
+            const sourceId = item.source_id;
+
+            if (!this.sources[type]) {
+                this.sources[type] = {};
+            }
+            if (!this.sources[type][sourceId]) {
+                this.sources[type][sourceId] = {
+                    name: sourceName,
+                    count: 0
+                };
+            }
+            this.sources[type][sourceId].count++;
+        });
+    }
+
+    buildCategoryIndex() {
+        this.categories = {};
+        this.inferredCategories = {};
+        this.items.forEach(item => {
+            const labels = this.getLabels(item);
+            const inferred = this.hasInferredLabels(item);
+            labels.forEach(label => {
+                if (!this.categories[label]) {
+                    this.categories[label] = 0;
+                }
+                this.categories[label]++;
+                if (inferred) this.inferredCategories[label] = (this.inferredCategories[label] || 0) + 1;
+            });
+        });
+    }
+
+    renderCategoriesList() {
+        const container = document.getElementById('categories-list');
+        if (!container) return;
+
+        const categories = Object.keys(this.categories).sort((a, b) =>
+            this.categories[b] - this.categories[a]
+        );
+
+        if (categories.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = categories.map(category => {
+            const inferred = this.inferredCategories[category] || 0;
+            const title = inferred > 0
+                ? `${inferred} of ${this.categories[category]} labelled by your rules\n${FACET_HINT}`
+                : FACET_HINT;
+            return `
+                <button class="nav-item${inferred === this.categories[category] ? ' inferred' : ''}" data-filter="category" data-category="${this.escapeAttr(category)}" title="${title}">
+                    <span class="nav-icon">${CATEGORY_ICONS[category] || '🏷️'}</span>
+                    ${this.escapeHtml(category)}
+                    <span class="nav-count">${this.categories[category]}</span>
+                </button>
+            `;
+        }).join('');
+
+        // Bind click events to category buttons
+        container.querySelectorAll('[data-filter="category"]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleCategoryClick(e));
+        });
+    }
+
+    renderSourceLists() {
+        const container = document.getElementById('source-types-list');
+        if (!container) return;
+
+        container.innerHTML = this.sourceTypes.navTypes(Object.keys(this.sources)).map(type => {
+            const typeSources = this.sources[type.id] || {};
+            const expanded = this.expandedGroups.has(type.id);
+            const children = Object.keys(typeSources)
+                .sort((a, b) => typeSources[b].count - typeSources[a].count)
+                .map(sourceId => `
+                    <button class="nav-item nav-child${this.store.isSourceHidden(type.id, sourceId) ? ' source-hidden' : ''}" data-filter="source" data-source-id="${this.escapeAttr(sourceId)}" data-source-type="${this.escapeAttr(type.id)}" title="${FACET_HINT}">
+                        <span class="nav-icon">•</span>
+                        ${this.escapeHtml(typeSources[sourceId].name)}
+                        <span class="nav-count">${typeSources[sourceId].count}</span>
+                    </button>
+                `).join('');
+
+            return `
+                <div class="nav-group${expanded ? ' expanded' : ''}" data-type="${this.escapeAttr(type.id)}">
+                    <button class="nav-item nav-parent" data-filter="${this.escapeAttr(type.id)}" title="${FACET_HINT}">
+                        <span class="nav-icon">${type.icon}</span>
+                        ${this.escapeHtml(type.label)}
+                        <span class="nav-count">0</span>
+                        <span class="nav-toggle">${expanded ? '▲' : '▼'}</span>
+                    </button>
+                    <div class="nav-children">${children}</div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.nav-parent').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleParentClick(e));
+        });
+        container.querySelectorAll('.nav-child').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleSourceClick(e));
+        });
+    }
+
+    // Anything that is not a timeline view or a source/category view names a source type
+    isTypeFilter(filter) {
+        return typeof filter === 'string' && SOURCE_TYPE_PATTERN.test(filter) &&
+            !TIMELINE_FILTERS.includes(filter) && !['source', 'category', 'idea', 'folder'].includes(filter);
+    }
+
+    handleParentClick(e) {
+        e.stopPropagation();
+        const btn = e.currentTarget;
+        const group = btn.closest('.nav-group');
+
+        // Toggle expand/collapse
+        if (group) {
+            group.classList.toggle('expanded');
+            if (group.classList.contains('expanded')) {
+                this.expandedGroups.add(group.dataset.type);
+            } else {
+                this.expandedGroups.delete(group.dataset.type);
+            }
+            const toggle = btn.querySelector('.nav-toggle');
+            if (toggle) {
+                toggle.textContent = group.classList.contains('expanded') ? '▲' : '▼';
+            }
+        }
+
+        // Also filter by this type
+        this.selectFacet('types', btn.dataset.filter, e.ctrlKey || e.metaKey);
+    }
+
+    handleSourceClick(e) {
+        e.stopPropagation();
+        const btn = e.currentTarget;
+        const multi = e.ctrlKey || e.metaKey;
+        this.selectFacet('sources', `${btn.dataset.sourceType}:${btn.dataset.sourceId}`, multi);
+
+        // Auto-close sidebar on mobile when source is selected
+        if (!multi && window.innerWidth <= 768) {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.getElementById('sidebar-overlay');
+            const menuToggle = document.getElementById('mobile-menu-toggle');
+
+            if (sidebar && overlay && menuToggle) {
+                sidebar.classList.remove('open');
+                overlay.classList.remove('active');
+                menuToggle.classList.remove('active');
+                document.body.style.overflow = '';
+            }
+        }
+    }
+
+    handleCategoryClick(e) {
+        this.selectFacet('categories', e.currentTarget.dataset.category, e.ctrlKey || e.metaKey);
+    }
+
+    // The time range stays as it is; facets narrow it down
+    handleFilterClick(e) {
+        const filter = e.currentTarget.dataset.filter;
+
+        this.currentFilter = filter;
+        this.currentIdea = null;
+        if (filter === 'range' && !this.dateRange.from && !this.dateRange.to) {
+            const today = this.calendar.today();
+            this.dateRange = { from: this.calendar.dayKey(today - 6), to: this.calendar.dayKey(today) };
+        }
+        this.refreshView();
+        this.preloadArchives(this.getViewState());
+    }
+
+    // Fetch the archives a view reaches into; All Articles takes one more shard at a time
+    preloadArchives(view) {
+        if (view.filter === 'all') return this.loadNextArchive();
+        if (view.filter === 'range') return this.loadArchivesFrom(view.from);
+        const start = this.getFilterStart(view);
+        return start ? this.loadArchivesFrom(start) : Promise.resolve();
+    }
+
+    // First day a time filter can reach back to, for fetching the archives it needs
+    getFilterStart(view) {
+        const today = this.calendar.today();
+        switch (view.filter) {
+            case 'today': return this.calendar.dayKey(today);
+            case 'yesterday': return this.calendar.dayKey(today - 1);
+            case 'week':
+            case 'ideas':
+                return this.calendar.dayKey(this.weekMode === 'calendar' ? today - this.calendar.weekday(today) : today - 7);
+            case 'month': return `${this.calendar.monthOf(today)}-01`;
+            default: return null;
+        }
+    }
+
+    // Both ends come from the sidebar date inputs; an end left empty stays open
+    setDateRange(from, to) {
+        if (from && to && from > to) [from, to] = [to, from];
+        this.currentFilter = 'range';
+        this.currentIdea = null;
+        this.dateRange = { from: from || null, to: to || null };
+        this.refreshView();
+        this.preloadArchives(this.getViewState());
+    }
+
+    syncDateRangeInputs() {
+        const fromInput = document.getElementById('range-from');
+        const toInput = document.getElementById('range-to');
+        if (!fromInput || !toInput) return;
+
+        fromInput.value = this.dateRange.from || '';
+        toInput.value = this.dateRange.to || '';
+        fromInput.max = this.dateRange.to || '';
+        toInput.min = this.dateRange.from || '';
+        document.getElementById('date-range')?.classList.toggle('active', this.currentFilter === 'range');
+    }
+
+    /**
+     * Facets
+     * Types, sources (<type>:<id>) and categories. Values within a facet are
+     * alternatives, facets combine with each other and the time range. A plain
+     * click picks just that value; ctrl/cmd-click adds or removes it.
+     */
+    selectFacet(key, value, multi = false) {
+        if (multi) {
+            const values = this.facets[key];
+            this.facets[key] = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+        } else {
+            this.facets = { types: [], sources: [], categories: [], [key]: [value] };
+        }
+        this.refreshView();
+    }
+
+    removeFacet(key, value) {
+        if (key === 'idea') {
+            this.currentFilter = 'all';
+            this.currentIdea = null;
+        } else {
+            this.facets[key] = this.facets[key].filter(v => v !== value);
+        }
+        this.refreshView();
+    }
+
+    clearFacets() {
+        this.facets = { types: [], sources: [], categories: [] };
+        if (this.currentFilter === 'idea') {
+            this.currentFilter = 'all';
+            this.currentIdea = null;
+        }
+        this.refreshView();
+    }
+
+    refreshView() {
+        this.syncViewControls();
+        this.applyFilters();
+        this.updateRoute(true);
+    }
+
+    getFacetChips(view) {
+        const chips = [];
+        view.types.forEach(value => {
+            const type = this.sourceTypes.get(value);
+            chips.push({ key: 'types', value, icon: type.icon, label: type.label });
+        });
+        view.sources.forEach(value => {
+            const [type, ...id] = value.split(':');
+            const sourceId = id.join(':');
+            chips.push({
+                key: 'sources',
+                value,
+                icon: this.sourceTypes.get(type).icon,
+                label: this.sources[type]?.[sourceId]?.name || sourceId
+            });
+        });
+        view.categories.forEach(value => {
+            chips.push({ key: 'categories', value, icon: CATEGORY_ICONS[value] || '🏷️', label: value });
+        });
+        return chips;
+    }
+
+    renderFilterChips() {
+        const container = document.getElementById('filter-chips');
+        if (!container) return;
+
+        const chips = this.getFacetChips(this.facets);
+        if (this.currentFilter === 'idea' && this.currentIdea) {
+            chips.unshift({ key: 'idea', value: this.currentIdea, icon: '💡', label: this.truncate(this.currentIdea, 40) });
+        }
+
+        container.classList.toggle('hidden', chips.length === 0);
+        container.innerHTML = chips.map(chip => `
+            <button class="filter-chip" type="button" data-facet="${chip.key}" data-value="${this.escapeAttr(chip.value)}" title="Remove this filter">
+                <span aria-hidden="true">${chip.icon}</span>
+                ${this.escapeHtml(chip.label)}
+                <span class="filter-chip-remove" aria-hidden="true">✕</span>
+            </button>
+        `).join('') + (chips.length > 1 ? '<button class="filter-chips-clear" type="button">Clear all</button>' : '');
+    }
+
+    getViewTitle(view) {
+        const titles = {
+            today: 'Today',
+            yesterday: 'Yesterday',
+            week: 'This Week',
+            month: 'This Month',
+            range: this.formatRange(view.from, view.to),
+            all: 'All Articles',
+            saved: 'Saved',
+            watching: 'Half-watched',
+            ideas: 'Ideas This Week'
+        };
+        const base = view.filter === 'idea' && view.idea
+            ? `Idea: ${this.truncate(view.idea, 60)}`
+            : titles[view.filter] || 'All Articles';
+
+        const names = this.getFacetChips(view).map(chip => chip.label);
+        if (names.length === 0) return base;
+
+        const facets = names.length <= 2 ? names.join(' + ') : `${names.length} filters`;
+        return view.filter === 'all' ? facets : `${facets} · ${base}`;
+    }
+
+    /**
+     * Time buckets
+     * Feed timestamps go through this.calendar, so days start at midnight in
+     * the reader's chosen zone. "This Week" is either the last 7 days or the
+     * calendar week since Monday, per the weekMode preference.
+     */
+    setCalendar(feedZone, zone) {
+        const next = new ZonedCalendar(feedZone, zone);
+        if (next.feedZone === this.calendar.feedZone && next.zone === this.calendar.zone) return false;
+        this.calendar = next;
+        return true;
+    }
+
+    getItemTime(item) {
+        return this.calendar.parse(item.published_at || item.processed_at);
+    }
+
+    getDay(dateStr) {
+        return this.calendar.dayNumber(this.calendar.parse(dateStr));
+    }
+
+    isToday(dateStr) {
+        return this.getDay(dateStr) === this.calendar.today();
+    }
+
+    isYesterday(dateStr) {
+        return this.getDay(dateStr) === this.calendar.today() - 1;
+    }
+
+    isThisWeek(dateStr) {
+        if (this.weekMode === 'calendar') {
+            const today = this.calendar.today();
+            const day = this.getDay(dateStr);
+            return day >= today - this.calendar.weekday(today) && day <= today;
+        }
+        const time = this.calendar.parse(dateStr);
+        return time >= Date.now() - 7 * DAY_MS;
+    }
+
+    isThisMonth(dateStr) {
+        const day = this.getDay(dateStr);
+        return !isNaN(day) && this.calendar.monthOf(day) === this.calendar.monthOf(this.calendar.today());
+    }
+
+    // Either end may be open; both are inclusive days
+    isInRange(dateStr, from, to) {
+        const day = this.getDay(dateStr);
+        if (isNaN(day)) return false;
+        if (from && day < this.calendar.dayFromKey(from)) return false;
+        if (to && day > this.calendar.dayFromKey(to)) return false;
+        return true;
+    }
+
+    formatRange(from, to) {
+        const label = (key) => this.calendar.formatDay(this.calendar.dayFromKey(key));
+        if (from && to) return from === to ? label(from) : `${label(from)} – ${label(to)}`;
+        if (from) return `Since ${label(from)}`;
+        if (to) return `Until ${label(to)}`;
+        return 'Any Date';
+    }
+
+    applyFilters({ keepRendered = false } = {}) {
+        const { items: viewItems, search } = this.getViewItems(this.getViewState());
+        this.searchScores = search ? search.scores : null;
+        this.searchHighlights = search ? search.highlights : [];
+
+        // Rating floor applies last so the histogram shows what it cuts from the view
+        this.renderRatingHistogram(viewItems);
+        this.filteredItems = viewItems.filter(item => (item.rating || 0) >= this.minRating);
+
+        this.sortItems();
+        this.buildThreads();
+        this.render(keepRendered ? this.renderedCount : 0);
+    }
+
+    // Items in a view before the rating floor; the list and smart folder counts share it
+    getViewItems(view) {
+        const search = view.search ? this.runSearch(view.search) : null;
+        const pool = view.filter === 'saved' ? this.getSavedItems() : this.items;
+        const watching = view.filter === 'watching';
+        const { types, sources, categories } = view;
+        const items = pool.filter(item => {
+            const itemDate = item.published_at || item.processed_at;
+
+            // Time-based filters
+            if (view.filter === 'today') {
+                if (!this.isToday(itemDate)) return false;
+            } else if (view.filter === 'yesterday') {
+                if (!this.isYesterday(itemDate)) return false;
+            } else if (view.filter === 'week' || view.filter === 'ideas') {
+                if (!this.isThisWeek(itemDate)) return false;
+            } else if (view.filter === 'month') {
+                if (!this.isThisMonth(itemDate)) return false;
+            } else if (view.filter === 'range') {
+                if (!this.isInRange(itemDate, view.from, view.to)) return false;
+            }
+
+            if (watching && !this.isHalfWatched(item.id)) return false;
+
+            // Facets: any of the selected values within each facet
+            const type = item.source_type || 'rss';
+            const sourceKey = `${type}:${item.source_id}`;
+            if (types.length > 0 && !types.includes(type)) return false;
+            if (sources.length > 0 && !sources.includes(sourceKey)) return false;
+            if (categories.length > 0 && !this.getLabels(item).some(label => categories.includes(label))) return false;
+
+            // Idea filter
+            if (view.filter === 'idea' && view.idea) {
+                if (!this.matchesIdea(item, view.idea)) return false;
+            }
+
+            // Hidden sources only show up when picked explicitly and in Saved
+            if (view.filter !== 'saved' && !sources.includes(sourceKey) &&
+                this.store.isSourceHidden(type, item.source_id)) {
+                return false;
+            }
+
+            // Search filter
+            if (search && !search.scores.has(item.id)) return false;
+
+            // Unread only; opening a video marks it read, so half-watched ignores this
+            if (this.unreadOnly && !watching && this.isRead(item.id)) return false;
+
+            return true;
+        });
+
+        return { items, search };
+    }
+
+    /**
+     * Search
+     * Inverted index over the weighted fields in SEARCH_FIELD_WEIGHTS, queried with
+     * terms, "quoted phrases", -exclusions and field operators (source:, type:,
+     * label:, idea:, rating:>85). All positive terms must match.
+     */
+    tokenize(text) {
+        return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    buildSearchIndex() {
+        this.searchIndex = new Map();
+        this.searchDocs = new Map();
+
+        // Saved snapshots that have dropped out of the feed stay searchable
+        const liveIds = new Set(this.items.map(item => item.id));
+        const archived = this.getSavedItems().filter(item => !liveIds.has(item.id));
+
+        [...this.items, ...archived].forEach(item => {
+            const texts = [];
+
+            Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+                let value = item[field];
+                if (field === 'sections') {
+                    value = this.getSections(item).map(section => `${section.heading} ${section.summary}`);
+                } else if (field === 'labels') {
+                    value = this.getLabels(item);
+                }
+                const text = Array.isArray(value) ? value.join(' ') : (value || '');
+                texts.push(text);
+
+                this.tokenize(text).forEach(token => {
+                    let postings = this.searchIndex.get(token);
+                    if (!postings) {
+                        postings = new Map();
+                        this.searchIndex.set(token, postings);
+                    }
+                    postings.set(item.id, (postings.get(item.id) || 0) + weight);
+                });
+            });
+
+            this.searchDocs.set(item.id, {
+                item,
+                text: texts.join(' ').toLowerCase()
+            });
+        });
+
+        this.searchTokens = [...this.searchIndex.keys()].sort();
+    }
+
+    parseSearchQuery(query) {
+        const parsed = {
+            terms: [],
+            phrases: [],
+            excludes: [],
+            excludePhrases: [],
+            operators: []
+        };
+
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const [raw, minus, field, quoted, bare] = match;
+            const negate = minus === '-';
+            const value = (quoted ?? bare ?? '').trim();
+
+            if (field && SEARCH_OPERATORS.includes(field)) {
+                if (value) parsed.operators.push({ field, value, negate });
+                continue;
+            }
+
+            // Unknown prefixes like "http:" are searched as plain text
+            const text = field ? raw.slice(minus.length) : value;
+            if (!text) continue;
+
+            // -word drops what word would find; -"phrase" drops any text containing it
+            if (negate && quoted !== undefined) {
+                parsed.excludePhrases.push(text);
+            } else if (negate) {
+                const tokens = this.tokenize(text);
+                if (tokens.length > 0) parsed.excludes.push(tokens);
+            } else if (quoted !== undefined && !field) {
+                parsed.phrases.push(text);
+            } else {
+                parsed.terms.push(...this.tokenize(text));
+            }
+        }
+
+        return parsed;
+    }
+
+    // Postings for a token, including every indexed token it is a prefix of
+    lookupTerm(term) {
+        const results = new Map();
+        let lo = 0;
+        let hi = this.searchTokens.length;
+
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.searchTokens[mid] < term) lo = mid + 1;
+            else hi = mid;
+        }
+
+        for (let i = lo; i < this.searchTokens.length && this.searchTokens[i].startsWith(term); i++) {
+            const token = this.searchTokens[i];
+            const boost = token === term ? 1 : 0.5;
+            this.searchIndex.get(token).forEach((weight, id) => {
+                results.set(id, (results.get(id) || 0) + weight * boost);
+            });
+        }
+
+        return results;
+    }
+
+    runSearch(query) {
+        const parsed = this.parseSearchQuery(query);
+        const totalDocs = Math.max(this.searchDocs.size, 1);
+        let scores = null;
+
+        parsed.terms.forEach(term => {
+            const postings = this.lookupTerm(term);
+            const idf = Math.log(1 + totalDocs / Math.max(postings.size, 1));
+            const next = new Map();
+
+            postings.forEach((weight, id) => {
+                if (scores === null || scores.has(id)) {
+                    next.set(id, (scores?.get(id) || 0) + weight * idf);
+                }
+            });
+            scores = next;
+        });
+
+        if (scores === null) {
+            scores = new Map([...this.searchDocs.keys()].map(id => [id, 0]));
+        }
+
+        const excluded = new Set();
+        parsed.excludes.forEach(tokens => {
+            const [first, ...rest] = tokens.map(token => this.lookupTerm(token));
+            first.forEach((weight, id) => {
+                if (rest.every(postings => postings.has(id))) excluded.add(id);
+            });
+        });
+
+        scores.forEach((score, id) => {
+            const { item, text } = this.searchDocs.get(id);
+
+            const keep = parsed.phrases.every(phrase => text.includes(phrase)) &&
+                !excluded.has(id) &&
+                !parsed.excludePhrases.some(phrase => text.includes(phrase)) &&
+                parsed.operators.every(op => this.matchesSearchOperator(item, op) !== op.negate);
+
+            if (!keep) {
+                scores.delete(id);
+            } else if (parsed.phrases.length > 0) {
+                scores.set(id, score + parsed.phrases.length * 5);
+            }
+        });
+
+        return {
+            scores,
+            highlights: [...parsed.phrases, ...parsed.terms]
+        };
+    }
+
+    matchesSearchOperator(item, { field, value }) {
+        switch (field) {
+            case 'source':
+                return (item.source_name || '').toLowerCase().includes(value);
+            case 'type':
+                return (item.source_type || 'rss') === value;
+            case 'label':
+                return this.getLabels(item).some(label => label.toLowerCase().includes(value));
+            case 'idea':
+                return (item.ideas || []).some(idea => idea.toLowerCase().includes(value));
+            case 'rating': {
+                const [, op = '=', num] = value.match(/^(>=|<=|>|<|=)?(\d+)$/) || [];
+                if (num === undefined) return true;
+                const rating = item.rating || 0;
+                const target = parseInt(num, 10);
+                if (op === '>') return rating > target;
+                if (op === '>=') return rating >= target;
+                if (op === '<') return rating < target;
+                if (op === '<=') return rating <= target;
+                return rating === target;
+            }
+            default:
+                return true;
+        }
+    }
+
+    // Escape text and wrap the current search terms in <mark>. Terms match
+    // as word prefixes, as in the index, so "ai" marks "AI" but not "said".
+    highlightHtml(str) {
+        if (!str) return '';
+        if (this.searchHighlights.length === 0) return this.escapeHtml(str);
+
+        const lower = str.toLowerCase();
+        const ranges = [];
+        this.searchHighlights.forEach(term => {
+            let index = lower.indexOf(term);
+            while (index !== -1) {
+                if (index === 0 || !/[\p{L}\p{N}]/u.test(lower[index - 1])) {
+                    ranges.push([index, index + term.length]);
+                }
+                index = lower.indexOf(term, index + 1);
+            }
+        });
+
+        if (ranges.length === 0) return this.escapeHtml(str);
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        let html = '';
+        let pos = 0;
+        ranges.forEach(([start, end]) => {
+            if (end <= pos) return;
+            start = Math.max(start, pos);
+            html += this.escapeHtml(str.slice(pos, start));
+            html += `<mark>${this.escapeHtml(str.slice(start, end))}</mark>`;
+            pos = end;
+        });
+        html += this.escapeHtml(str.slice(pos));
+
+        return html;
+    }
+
+    updateMinRatingLabel() {
+        const label = document.getElementById('min-rating-value');
+        if (label) {
+            label.textContent = this.minRating > 0 ? `${this.minRating}+` : 'Any';
+        }
+    }
+
+    renderRatingHistogram(viewItems) {
+        const container = document.getElementById('rating-histogram');
+        if (!container) return;
+
+        const bucketCount = Math.ceil((100 - RATING_HISTOGRAM_MIN) / RATING_HISTOGRAM_STEP);
+        const buckets = new Array(bucketCount).fill(0);
+
+        viewItems.forEach(item => {
+            const rating = Math.min(Math.max(item.rating || 0, RATING_HISTOGRAM_MIN), 99);
+            buckets[Math.floor((rating - RATING_HISTOGRAM_MIN) / RATING_HISTOGRAM_STEP)]++;
+        });
+
+        const max = Math.max(...buckets, 1);
+        const hidden = viewItems.filter(item => (item.rating || 0) < this.minRating).length;
+
+        container.title = hidden > 0
+            ? `${hidden} article${hidden !== 1 ? 's' : ''} below ${this.minRating} hidden`
+            : 'Rating distribution for this view';
+
+        container.innerHTML = buckets.map((count, i) => {
+            const from = RATING_HISTOGRAM_MIN + i * RATING_HISTOGRAM_STEP;
+            const to = from + RATING_HISTOGRAM_STEP - 1;
+            const below = to < this.minRating ? ' below-threshold' : '';
+            const height = count > 0 ? Math.max(Math.round((count / max) * 100), 8) : 0;
+            return `<span class="histogram-bar${below}" style="height: ${height}%" title="${from}–${to}: ${count}"></span>`;
+        }).join('');
+    }
+
+    sortItems() {
+        // Parse each date once rather than on every comparison
+        const times = new Map(this.filteredItems.map(item => [item, this.getItemTime(item) || 0]));
+
+        this.filteredItems.sort((a, b) => {
+            if (this.sortBy === 'rating') {
+                return (b.rating || 0) - (a.rating || 0);
+            }
+            if (this.sortBy === 'relevance' && this.searchScores) {
+                const scoreDiff = (this.searchScores.get(b.id) || 0) - (this.searchScores.get(a.id) || 0);
+                if (scoreDiff !== 0) return scoreDiff;
+            }
+            return times.get(b) - times.get(a);
+        });
+    }
+
+    // Nav counts show unread items; Saved shows everything kept
+    updateCounts() {
+        const counts = {
+            all: 0,
+            saved: this.store.getSavedItems().length,
+            watching: this.items.filter(item => this.isHalfWatched(item.id)).length,
+            today: 0,
+            yesterday: 0,
+            week: 0,
+            month: 0
+        };
+        const typeCounts = {};
+        const sourceCounts = {};
+        const categoryCounts = {};
+
+        this.items.forEach(item => {
+            if (this.isRead(item.id)) return;
+
+            const type = item.source_type || 'rss';
+            const itemDate = item.published_at || item.processed_at;
+            const sourceKey = `${type}:${item.source_id}`;
+
+            sourceCounts[sourceKey] = (sourceCounts[sourceKey] || 0) + 1;
+            if (this.store.isSourceHidden(type, item.source_id)) return;
+
+            counts.all++;
+            typeCounts[type] = (typeCounts[type] || 0) + 1;
+            if (this.isToday(itemDate)) counts.today++;
+            if (this.isYesterday(itemDate)) counts.yesterday++;
+            if (this.isThisWeek(itemDate)) counts.week++;
+            if (this.isThisMonth(itemDate)) counts.month++;
+
+            this.getLabels(item).forEach(label => {
+                categoryCounts[label] = (categoryCounts[label] || 0) + 1;
+            });
+        });
+
+        Object.keys(counts).forEach(key => {
+            const el = document.getElementById(`count-${key}`);
+            if (el) this.setNavCount(el, counts[key]);
+        });
+
+        document.querySelectorAll('.nav-group[data-type] > .nav-parent').forEach(btn => {
+            this.setNavCount(btn.querySelector('.nav-count'), typeCounts[btn.closest('.nav-group').dataset.type] || 0);
+        });
+
+        document.querySelectorAll('.nav-child[data-filter="source"]').forEach(btn => {
+            const key = `${btn.dataset.sourceType}:${btn.dataset.sourceId}`;
+            this.setNavCount(btn.querySelector('.nav-count'), sourceCounts[key] || 0);
+        });
+
+        document.querySelectorAll('[data-filter="category"]').forEach(btn => {
+            this.setNavCount(btn.querySelector('.nav-count'), categoryCounts[btn.dataset.category] || 0);
+        });
+
+        document.querySelectorAll('[data-filter="folder"]').forEach(btn => {
+            const folder = this.store.getSmartFolder(btn.dataset.folderId);
+            if (folder) this.setNavCount(btn.querySelector('.nav-count'), this.countSmartFolder(folder));
+        });
+    }
+
+    setNavCount(el, count) {
+        if (!el) return;
+        el.textContent = count;
+        el.classList.toggle('all-read', count === 0);
+    }
+
+    // Renders the first page; the rest is appended as the list end scrolls into view.
+    // minRendered keeps an already scrolled-through list from collapsing on refresh.
+    render(minRendered = 0) {
+        const list = document.getElementById('article-list');
+        const noResults = document.getElementById('no-results');
+        const feedCount = document.getElementById('feed-count');
+
+        feedCount.textContent = `${this.filteredItems.length} article${this.filteredItems.length !== 1 ? 's' : ''}`;
+        this.renderedCount = 0;
+        this.ideaClusters = [];
+        this.renderedClusters = 0;
+        list.innerHTML = '';
+
+        if (this.filteredItems.length === 0) {
+            noResults.classList.remove('hidden');
+            this.updateLoadMore();
+            return;
+        }
+
+        noResults.classList.add('hidden');
+
+        // The Ideas view shows clusters in place of cards; every item is covered by them
+        if (this.currentFilter === 'ideas') {
+            this.renderedCount = this.filteredItems.length;
+            this.renderIdeaClusters();
+            return;
+        }
+
+        this.renderNextPage();
+        this.ensureRendered(minRendered - 1);
+    }
+
+    renderNextPage() {
+        const list = document.getElementById('article-list');
+        const page = this.filteredItems.slice(this.renderedCount, this.renderedCount + RENDER_PAGE_SIZE);
+        if (page.length === 0) return;
+
+        list.insertAdjacentHTML('beforeend', page.map(item => this.createCard(item)).join(''));
+        this.renderedCount += page.length;
+        this.applyKeyboardFocus();
+        this.updateLoadMore();
+    }
+
+    // Make sure the item at index has a card in the DOM (keyboard cursor can run ahead)
+    ensureRendered(index) {
+        while (this.renderedCount <= index && this.renderedCount < this.filteredItems.length) {
+            this.renderNextPage();
+        }
+    }
+
+    updateLoadMore() {
+        const loadMore = document.getElementById('load-more');
+        if (!loadMore) return;
+
+        const remaining = this.currentFilter === 'ideas'
+            ? this.ideaClusters.length - this.renderedClusters
+            : this.filteredItems.length - this.renderedCount;
+        loadMore.classList.toggle('hidden', remaining <= 0 && !this.hasMoreArchives());
+        const btn = loadMore.querySelector('button');
+        if (btn) {
+            btn.textContent = remaining > 0
+                ? `Load ${Math.min(remaining, RENDER_PAGE_SIZE)} more`
+                : 'Load older articles';
+        }
+    }
+
+    setupListRendering() {
+        const list = document.getElementById('article-list');
+        const loadMore = document.getElementById('load-more');
+
+        // One delegated handler for every card action
+        list.addEventListener('click', (e) => this.handleListClick(e));
+
+        if (!loadMore) return;
+        const showMore = () => {
+            if (this.currentFilter === 'ideas' && this.renderedClusters < this.ideaClusters.length) {
+                this.renderNextIdeaClusters();
+            } else if (this.renderedCount < this.filteredItems.length) {
+                this.renderNextPage();
+            } else {
+                this.loadNextArchive();
+            }
+        };
+        loadMore.querySelector('button')?.addEventListener('click', showMore);
+
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) showMore();
+            }, { rootMargin: '800px 0px' });
+            observer.observe(loadMore);
+        }
+    }
+
+    handleListClick(e) {
+        const ideaChip = e.target.closest('[data-idea]');
+        if (ideaChip) {
+            this.showIdea(ideaChip.dataset.idea);
+            return;
+        }
+
+        const clusterEntry = e.target.closest('.idea-cluster-entry');
+        if (clusterEntry) {
+            const item = this.findItem(parseInt(clusterEntry.dataset.itemId, 10));
+            if (item) this.openItem(item);
+            return;
+        }
+
+        const article = e.target.closest('.article-item');
+        if (!article) return;
+        const itemId = parseInt(article.dataset.itemId, 10);
+
+        if (e.target.closest('.read-link, .tweet-link')) {
+            this.markAsRead(itemId);
+            return;
+        }
+
+        const threadToggle = e.target.closest('.thread-toggle');
+        if (threadToggle) {
+            this.toggleThread(itemId);
+            return;
+        }
+
+        if (e.target.closest('.mark-unread-btn')) {
+            this.markAsUnread(itemId);
+            return;
+        }
+
+        if (e.target.closest('.save-btn')) {
+            const item = this.findItem(itemId);
+            if (item) this.toggleSaved(item);
+            return;
+        }
+
+        if (e.target.closest('.podcast-play')) {
+            const item = this.findItem(itemId);
+            if (item) this.playEpisode(item);
+            return;
+        }
+
+        // Tap a rating badge to toggle its rationale (hover/focus covers desktop)
+        const badge = e.target.closest('.rating-badge.has-reason');
+        if (badge) {
+            const wasOpen = badge.classList.contains('show-reason');
+            document.querySelectorAll('.rating-badge.show-reason').forEach(b => b.classList.remove('show-reason'));
+            badge.classList.toggle('show-reason', !wasOpen);
+            return;
+        }
+        if (e.target.closest('.rating-badge')) return;
+
+        const item = this.findItem(itemId);
+        if (item) {
+            this.focusedItemId = itemId;
+            this.applyKeyboardFocus();
+            this.openItem(item);
+        }
+    }
+
+    /**
+     * Saved items
+     * Stored as full snapshots so they outlive the feed's rolling window
+     */
+    // Live feed copy wins over the snapshot so edits to the item show up
+    getSavedItems() {
+        return this.store.getSavedItems().map(snapshot =>
+            this.items.find(i => i.id === snapshot.id) || snapshot
+        );
+    }
+
+    findItem(itemId) {
+        return this.items.find(i => i.id === itemId) || this.store.getSaved(itemId);
+    }
+
+    isSaved(itemId) {
+        return this.store.isSaved(itemId);
+    }
+
+    toggleSaved(item) {
+        const saved = !this.store.isSaved(item.id);
+        this.store.setSaved(item, saved);
+        this.scheduleSync();
+
+        document.querySelectorAll(`.save-btn[data-item-id="${item.id}"]`).forEach(btn => {
+            btn.classList.toggle('saved', saved);
+            btn.setAttribute('aria-pressed', saved);
+            btn.title = saved ? 'Remove from saved' : 'Save for later';
+            btn.textContent = saved ? '★' : '☆';
+        });
+
+        this.updateCounts();
+        if (this.currentFilter === 'saved') this.applyFilters();
+    }
+
+    createSaveButtonHtml(itemId) {
+        const saved = this.isSaved(itemId);
+        return `
+            <button class="save-btn${saved ? ' saved' : ''}" data-item-id="${itemId}" aria-pressed="${saved}" title="${saved ? 'Remove from saved' : 'Save for later'}">${saved ? '★' : '☆'}</button>
+        `;
+    }
+
+    setSourceHidden(type, sourceId, hidden) {
+        this.store.setSourceHidden(type, sourceId, hidden);
+
+        const btn = [...document.querySelectorAll('.nav-child[data-filter="source"]')].find(b =>
+            b.dataset.sourceType === type && b.dataset.sourceId === String(sourceId)
+        );
+        if (btn) btn.classList.toggle('source-hidden', hidden);
+
+        this.updateCounts();
+        this.applyFilters();
+    }
+
+    /**
+     * State export / import
+     */
+    exportState() {
+        const blob = new Blob([this.store.exportState()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `feedsieve-state-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async importState(file) {
+        try {
+            this.store.importState(await file.text());
+        } catch (error) {
+            console.error('Failed to import state:', error);
+            alert('That file could not be imported as FeedSieve state.');
+            return;
+        }
+        this.refreshFromStore();
+        this.scheduleSync();
+    }
+
+    // Re-read preferences and re-render everything that depends on stored state
+    refreshFromStore() {
+        this.minRating = this.store.getPreference('minRating');
+        this.unreadOnly = this.store.getPreference('unreadOnly');
+        this.labelRules = new LabelRules(this.store.getPreference('labelRules') || DEFAULT_LABEL_RULES);
+        this.weekMode = this.store.getPreference('weekMode');
+        this.setCalendar(this.calendar.feedZone, this.store.getPreference('timezone'));
+
+        const minRatingInput = document.getElementById('min-rating');
+        if (minRatingInput) minRatingInput.value = this.minRating;
+        this.updateMinRatingLabel();
+        document.getElementById('unread-only-toggle')?.setAttribute('aria-pressed', this.unreadOnly);
+
+        this.applyLabelRules();
+        this.buildCategoryIndex();
+        this.buildSearchIndex();
+        this.buildIdeaIndex();
+        this.renderSourceLists();
+        this.renderCategoriesList();
+        this.renderSmartFolders();
+        this.syncViewControls();
+        this.applyFilters();
+    }
+
+    isRead(itemId) {
+        return this.store.isRead(itemId);
+    }
+
+    markAsRead(itemId) {
+        this.store.setRead([itemId]);
+        this.scheduleSync();
+        const article = document.querySelector(`.article-item[data-item-id="${itemId}"]`);
+        if (article) {
+            article.classList.add('read');
+        }
+        this.updateCounts();
+    }
+
+    markAsUnread(itemId) {
+        this.store.setRead([itemId], false);
+        this.scheduleSync();
+        const article = document.querySelector(`.article-item[data-item-id="${itemId}"]`);
+        if (article) {
+            article.classList.remove('read');
+        }
+        this.updateCounts();
+    }
+
+    markItemsAsRead(items) {
+        if (items.length === 0) return;
+
+        this.store.setRead(items.map(item => item.id));
+        this.scheduleSync();
+        this.updateCounts();
+        this.applyFilters();
+    }
+
+    // Across every loaded item, not just the view; marks already read keep their timestamps
+    markOlderAsRead(days) {
+        const cutoff = Date.now() - days * DAY_MS;
+        this.markItemsAsRead(this.items.filter(item =>
+            !this.isRead(item.id) && (this.getItemTime(item) || 0) < cutoff
+        ));
+    }
+
+    /**
+     * Article reader
+     * Above SPLIT_VIEW_QUERY, with the reading pane preference on, articles open
+     * in a pane beside the list; otherwise in the modal.
+     */
+    setupReadingPane() {
+        this.splitQuery = window.matchMedia(SPLIT_VIEW_QUERY);
+        this.splitQuery.addEventListener?.('change', () => this.applyLayout());
+
+        document.getElementById('reading-pane-toggle')?.addEventListener('click', () => {
+            this.readingPane = !this.readingPane;
+            this.store.setPreference('readingPane', this.readingPane);
+            this.applyLayout();
+        });
+
+        document.getElementById('reader-pane')?.addEventListener('click', (e) => {
+            if (e.target.closest('.modal-close')) {
+                this.closeReaderPane();
+                return;
+            }
+            const item = this.findItem(this.openItemId);
+            if (item) this.handleReaderClick(e, item);
+        });
+
+        this.applyLayout();
+    }
+
+    isSplitView() {
+        return Boolean(this.readingPane && this.splitQuery?.matches);
+    }
+
+    // Move an open article between modal and pane when the layout flips
+    applyLayout() {
+        const split = this.isSplitView();
+        document.body.classList.toggle('split-view', split);
+        document.getElementById('reading-pane-toggle')?.setAttribute('aria-pressed', this.readingPane);
+
+        const item = this.openItemId !== null ? this.findItem(this.openItemId) : null;
+        if (split && this.activeModal) {
+            this.closeModal(true);
+            if (item) this.showReaderPane(item, true);
+        } else if (!split && item && !this.activeModal) {
+            this.closeReaderPane(true);
+            this.showModal(item, true);
+        } else if (!item) {
+            this.closeReaderPane(true);
+        }
+    }
+
+    openItem(item, fromHistory = false) {
+        this.markAsRead(item.id);
+        if (this.isSplitView()) {
+            this.showReaderPane(item, fromHistory);
+        } else {
+            this.showModal(item, fromHistory);
+        }
+    }
+
+    closeItem(fromHistory = false) {
+        if (this.activeModal) {
+            this.closeModal(fromHistory);
+        } else if (this.openItemId !== null) {
+            this.closeReaderPane(fromHistory);
+        }
+    }
+
+    // With the pane showing, j/k read as they move
+    followFocusInPane() {
+        if (!this.isSplitView()) return;
+        const item = this.getFocusedItem();
+        if (item && item.id !== this.openItemId) this.openItem(item);
+    }
+
+    // Shared body of the modal and the reading pane
+    createReaderHtml(item) {
+        const url = this.rewriteSocialUrl(item.original_url || item.url || '#');
+        const type = this.sourceTypes.get(item.source_type || 'rss');
+        const handle = type.shortForm ? this.getSocialHandle(item) : null;
+        const ideas = item.ideas || [];
+        const rating = item.rating || null;
+        const ratingHtml = rating ? this.createRatingBadgeHtml(rating, 'modal-rating') : '';
+        const ratingReason = item.rating_reason || '';
+        const sourceHidden = this.store.isSourceHidden(item.source_type || 'rss', item.source_id);
+
+        return `
+            <button class="modal-close" aria-label="Close">&times;</button>
+            ${ratingHtml}
+            <div class="modal-header">
+                <span class="source-badge" style="--type-color: ${type.color}">${this.escapeHtml(type.badge)}</span>
+                <span class="source-name">${this.escapeHtml(item.source_name || '')}</span>
+                ${handle ? `<span class="tweet-handle">@${this.escapeHtml(handle)}</span>` : ''}
+                ${this.createLabelsHtml(item)}
+            </div>
+            <h2 class="modal-title">${this.escapeHtml(item.title)}</h2>
+            ${this.createVideoEmbedHtml(item)}
+            ${this.createPodcastControlsHtml(item)}
+            ${item.summary ? `<div class="modal-summary">${this.escapeHtml(item.summary)}</div>` : ''}
+            ${this.createDigestSectionsHtml(item)}
+            ${ideas.length > 0 ? `
+                <div class="modal-ideas">
+                    <h4>Key Ideas</h4>
+                    <div class="modal-ideas-chips">
+                        ${ideas.map(idea => `
+                            <button class="modal-idea-chip" type="button" data-idea="${this.escapeAttr(idea)}" title="Articles sharing this idea">${this.escapeHtml(idea)}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            ${ratingReason ? `
+                <details class="modal-rating-reason">
+                    <summary>Why this rating</summary>
+                    <p>${this.escapeHtml(ratingReason)}</p>
+                </details>
+            ` : ''}
+            <div class="modal-footer">
+                ${this.createSaveButtonHtml(item.id)}
+                <button class="hide-source-btn" type="button">${sourceHidden ? 'Show source' : 'Hide source'}</button>
+                <a href="${this.escapeAttr(url)}" target="_blank" rel="noopener" class="read-link">
+                    Read Original →
+                </a>
+            </div>
+        `;
+    }
+
+    handleReaderClick(e, item) {
+        const ideaChip = e.target.closest('[data-idea]');
+        if (ideaChip) {
+            // The modal's history entry becomes the idea view, so Back returns to the list
+            const fromModal = Boolean(this.activeModal);
+            this.closeItem(true);
+            this.showIdea(ideaChip.dataset.idea, !fromModal);
+            return;
+        }
+
+        const tocLink = e.target.closest('.digest-toc a');
+        if (tocLink) {
+            e.preventDefault();
+            const container = tocLink.closest('.modal-content, .reader-pane-content');
+            container?.querySelector(`.digest-section[data-section="${tocLink.dataset.section}"]`)
+                ?.scrollIntoView({ block: 'start', behavior: 'smooth' });
+            return;
+        }
+
+        if (e.target.closest('.podcast-play')) {
+            this.playEpisode(item);
+            return;
+        }
+
+        const playBtn = e.target.closest('.video-play');
+        if (playBtn) {
+            this.playVideo(playBtn.closest('.video-embed'), item);
+            return;
+        }
+
+        if (e.target.closest('.save-btn')) {
+            this.toggleSaved(item);
+            return;
+        }
+
+        const hideBtn = e.target.closest('.hide-source-btn');
+        if (hideBtn) {
+            const hidden = !this.store.isSourceHidden(item.source_type || 'rss', item.source_id);
+            this.setSourceHidden(item.source_type || 'rss', item.source_id, hidden);
+            hideBtn.textContent = hidden ? 'Show source' : 'Hide source';
+        }
+    }
+
+    // Stepping through articles in the pane replaces the route instead of stacking history
+    showReaderPane(item, fromHistory = false) {
+        const pane = document.getElementById('reader-pane');
+        if (!pane) return;
+
+        this.stopVideo();
+        pane.innerHTML = `<div class="reader-pane-content">${this.createReaderHtml(item)}</div>`;
+        pane.scrollTop = 0;
+        this.openItemId = item.id;
+
+        if (!fromHistory) this.updateRoute();
+    }
+
+    closeReaderPane(fromHistory = false) {
+        this.stopVideo();
+        const pane = document.getElementById('reader-pane');
+        if (pane) {
+            pane.innerHTML = `
+                <div class="reader-pane-empty">
+                    <p>Select an article to read it here.</p>
+                </div>
+            `;
+        }
+
+        const wasOpen = this.openItemId !== null;
+        this.openItemId = null;
+        if (wasOpen && !fromHistory) this.updateRoute();
+    }
+
+    /**
+     * Podcasts
+     * Episodes play in the mini-player at the bottom of the layout. Pressing
+     * play queues every playable episode in the current view, and the stored
+     * position is shared with the video progress above.
+     */
+    setupPodcastPlayer() {
+        const audio = document.getElementById('podcast-audio');
+        if (!audio) return;
+
+        this.podcastPlayer = new PodcastPlayer(audio, this.store, {
+            onChange: () => this.renderMiniPlayer(),
+            onFinished: (item) => {
+                if (!this.isRead(item.id)) this.markAsRead(item.id);
+            }
+        });
+
+        const player = this.podcastPlayer;
+        const controls = {
+            'player-toggle': () => player.toggle(),
+            'player-prev': () => player.previous(),
+            'player-next': () => player.next(),
+            'player-back': () => player.skip(-15),
+            'player-forward': () => player.skip(30),
+            'player-rate': () => player.cycleRate(),
+            'player-close': () => player.stop()
+        };
+        Object.entries(controls).forEach(([id, action]) => {
+            document.getElementById(id)?.addEventListener('click', action);
+        });
+
+        document.getElementById('player-seek')?.addEventListener('input', (e) => {
+            player.seek(Number(e.target.value));
+        });
+
+        document.getElementById('player-title')?.addEventListener('click', () => {
+            if (player.current) this.openItem(player.current);
+        });
+    }
+
+    playEpisode(item) {
+        if (!this.podcastPlayer || !PodcastPlayer.enclosureUrl(item)) return;
+
+        if (this.podcastPlayer.current?.id === item.id) {
+            this.podcastPlayer.toggle();
+            return;
+        }
+
+        const queue = this.filteredItems.filter(entry => PodcastPlayer.enclosureUrl(entry));
+        this.podcastPlayer.play(item, queue);
+    }
+
+    // item.duration may be seconds or "h:mm:ss"; fall back to what the player measured
+    getEpisodeDuration(item) {
+        const value = item.duration ?? item.enclosure?.duration;
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && value.trim()) {
+            const seconds = value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+            if (!isNaN(seconds)) return seconds;
+        }
+        return this.store.getProgress(item.id)?.duration || null;
+    }
+
+    createPodcastCard(item) {
+        const controlsHtml = this.createPodcastControlsHtml(item);
+        return controlsHtml ? this.createArticle(item, controlsHtml) : '';
+    }
+
+    createPodcastControlsHtml(item) {
+        if (!PodcastPlayer.enclosureUrl(item)) return '';
+
+        const duration = this.getEpisodeDuration(item);
+        const progress = this.store.getProgress(item.id);
+        const started = this.isHalfWatched(item.id);
+        const playing = this.podcastPlayer?.current?.id === item.id && !this.podcastPlayer.audio.paused;
+
+        const meta = [];
+        if (duration) meta.push(this.formatDuration(duration));
+        if (started && progress.duration) meta.push(`${this.formatDuration(progress.duration - progress.position)} left`);
+
+        return `
+            <div class="podcast-controls">
+                <button class="podcast-play" type="button" data-item-id="${item.id}">
+                    ${playing ? '❚❚ Pause' : started ? '▶ Resume' : '▶ Play'}
+                </button>
+                ${meta.length > 0 ? `<span class="podcast-duration">${meta.join(' · ')}</span>` : ''}
+                ${started ? `<span class="podcast-progress">${this.createWatchProgressHtml(item.id)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    renderMiniPlayer() {
+        const el = document.getElementById('mini-player');
+        const player = this.podcastPlayer;
+        if (!el || !player) return;
+
+        const item = player.current;
+        el.classList.toggle('hidden', !item);
+        document.body.classList.toggle('player-open', Boolean(item));
+
+        // Keep play/pause labels on cards and in the reader in step
+        document.querySelectorAll('.podcast-play').forEach(btn => {
+            const btnItem = this.findItem(parseInt(btn.dataset.itemId, 10));
+            if (!btnItem) return;
+            const playing = item?.id === btnItem.id && !player.audio.paused;
+            const label = playing ? '❚❚ Pause' : this.isHalfWatched(btnItem.id) ? '▶ Resume' : '▶ Play';
+            if (btn.textContent.trim() !== label) btn.textContent = label;
+        });
+
+        if (!item) return;
+
+        const audio = player.audio;
+        const duration = Number.isFinite(audio.duration) ? audio.duration : 0;
+        document.getElementById('player-title').textContent = item.title || '';
+        document.getElementById('player-meta').textContent = player.queue.length > 1
+            ? `${item.source_name || ''} · ${player.index + 1} of ${player.queue.length}`
+            : item.source_name || '';
+        document.getElementById('player-time').textContent =
+            `${this.formatDuration(audio.currentTime)} / ${this.formatDuration(duration)}`;
+        document.getElementById('player-rate').textContent = `${player.rate}×`;
+
+        const toggle = document.getElementById('player-toggle');
+        toggle.textContent = audio.paused ? '▶' : '❚❚';
+        toggle.setAttribute('aria-label', audio.paused ? 'Play' : 'Pause');
+
+        const seek = document.getElementById('player-seek');
+        seek.max = Math.floor(duration);
+        if (document.activeElement !== seek) seek.value = Math.floor(audio.currentTime);
+
+        document.getElementById('player-prev').disabled = !player.hasPrevious();
+        document.getElementById('player-next').disabled = !player.hasNext();
+    }
+
+    /**
+     * YouTube
+     * Videos play in a youtube-nocookie embed that loads only on request. The
+     * player API reports position, which is kept per item in the store so
+     * half-watched videos can resume and be filtered.
+     */
+    getYouTubeId(url) {
+        if (!url) return null;
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname.replace(/^(www|m|music)\./, '');
+            let id = null;
+            if (host === 'youtu.be') {
+                id = parsed.pathname.split('/')[1];
+            } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+                id = parsed.pathname === '/watch'
+                    ? parsed.searchParams.get('v')
+                    : parsed.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/]+)/)?.[1];
+            }
+            return /^[\w-]{11}$/.test(id || '') ? id : null;
+        } catch {
+            return null;
+        }
+    }
+
+    isHalfWatched(itemId) {
+        const progress = this.store.getProgress(itemId);
+        return Boolean(progress) && progress.position >= WATCH_STARTED_SECONDS &&
+            progress.position < progress.duration * WATCH_FINISHED_RATIO;
+    }
+
+    getWatchedRatio(itemId) {
+        const progress = this.store.getProgress(itemId);
+        return progress?.duration ? Math.min(progress.position / progress.duration, 1) : 0;
+    }
+
+    createVideoThumbHtml(item) {
+        const videoId = this.getYouTubeId(item.original_url);
+        if (!videoId) return '';
+
+        const duration = this.store.getProgress(item.id)?.duration;
+        return `
+            <div class="article-thumb">
+                <img src="${YOUTUBE_THUMBNAIL_URL}/${videoId}/mqdefault.jpg" alt="" loading="lazy">
+                ${duration ? `<span class="video-duration">${this.formatDuration(duration)}</span>` : ''}
+                ${this.createWatchProgressHtml(item.id)}
+            </div>
+        `;
+    }
+
+    createWatchProgressHtml(itemId) {
+        const ratio = this.getWatchedRatio(itemId);
+        if (ratio === 0) return '';
+        return `<span class="video-progress"><span class="video-progress-bar" style="width: ${Math.round(ratio * 100)}%"></span></span>`;
+    }
+
+    createVideoEmbedHtml(item) {
+        const videoId = this.getYouTubeId(item.original_url);
+        if (!videoId) return '';
+
+        const progress = this.store.getProgress(item.id);
+        const note = this.isHalfWatched(item.id)
+            ? `Resumes at ${this.formatDuration(progress.position)} of ${this.formatDuration(progress.duration)}`
+            : 'Plays from youtube-nocookie.com';
+
+        return `
+            <div class="video-embed">
+                <button class="video-play" type="button" aria-label="Play video">
+                    <img src="${YOUTUBE_THUMBNAIL_URL}/${videoId}/hqdefault.jpg" alt="" loading="lazy">
+                    <span class="video-play-icon" aria-hidden="true">▶</span>
+                    ${this.createWatchProgressHtml(item.id)}
+                </button>
+            </div>
+            <p class="video-embed-note">${note}</p>
+        `;
+    }
+
+    // The player API script is only fetched once someone presses play
+    loadYouTubeApi() {
+        if (!this.youTubeApi) {
+            this.youTubeApi = new Promise((resolve, reject) => {
+                if (window.YT?.Player) {
+                    resolve(window.YT);
+                    return;
+                }
+                const previous = window.onYouTubeIframeAPIReady;
+                window.onYouTubeIframeAPIReady = () => {
+                    previous?.();
+                    resolve(window.YT);
+                };
+                const script = document.createElement('script');
+                script.src = YOUTUBE_API_URL;
+                script.onerror = () => {
+                    this.youTubeApi = null;
+                    reject(new Error('YouTube player API failed to load'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.youTubeApi;
+    }
+
+    async playVideo(container, item) {
+        const videoId = this.getYouTubeId(item.original_url);
+        if (!container || !videoId) return;
+
+        this.stopVideo();
+        const start = this.isHalfWatched(item.id) ? Math.floor(this.store.getProgress(item.id).position) : 0;
+        container.innerHTML = '<div class="video-player"></div>';
+
+        try {
+            const YT = await this.loadYouTubeApi();
+            if (!container.isConnected) return;
+
+            const player = new YT.Player(container.firstElementChild, {
+                host: YOUTUBE_EMBED_HOST,
+                videoId,
+                playerVars: { autoplay: 1, start, rel: 0, playsinline: 1 },
+                events: {
+                    onStateChange: (e) => this.handleVideoState(e.data)
+                }
+            });
+            this.videoPlayer = { player, itemId: item.id, timer: null };
+        } catch (error) {
+            // Blocked API (content blockers, offline): play without progress tracking
+            console.error('Falling back to a plain embed:', error);
+            container.innerHTML = `
+                <iframe src="${YOUTUBE_EMBED_HOST}/embed/${videoId}?autoplay=1&start=${start}&rel=0"
+                        title="${this.escapeAttr(item.title)}" allow="autoplay; encrypted-media; picture-in-picture" allowfullscreen></iframe>
+            `;
+        }
+    }
+
+    handleVideoState(state) {
+        const video = this.videoPlayer;
+        if (!video) return;
+
+        if (state === window.YT.PlayerState.PLAYING) {
+            clearInterval(video.timer);
+            video.timer = setInterval(() => this.recordVideoProgress(), WATCH_PROGRESS_INTERVAL_MS);
+            return;
+        }
+
+        if (state === window.YT.PlayerState.PAUSED || state === window.YT.PlayerState.ENDED) {
+            clearInterval(video.timer);
+            video.timer = null;
+            this.recordVideoProgress(state === window.YT.PlayerState.ENDED);
+            this.updateCounts();
+        }
+    }
+
+    recordVideoProgress(ended = false) {
+        const video = this.videoPlayer;
+        const duration = video?.player.getDuration?.();
+        if (!duration) return;
+
+        const position = ended ? duration : video.player.getCurrentTime();
+        this.store.setProgress(video.itemId, position, duration);
+
+        // Keep the card underneath in step without re-rendering the list
+        const thumb = document.querySelector(`.article-item[data-item-id="${video.itemId}"] .article-thumb`);
+        if (thumb) {
+            const item = this.findItem(video.itemId);
+            if (item) thumb.outerHTML = this.createVideoThumbHtml(item);
+        }
+    }
+
+    stopVideo() {
+        const video = this.videoPlayer;
+        if (!video) return;
+
+        clearInterval(video.timer);
+        this.recordVideoProgress();
+        video.player.destroy?.();
+        this.videoPlayer = null;
+        this.updateCounts();
+    }
+
+    showModal(item, fromHistory = false) {
+        if (this.activeModal) this.closeModal(true);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                ${this.createReaderHtml(item)}
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        document.body.style.overflow = 'hidden';
+        this.activeModal = modal;
+        this.openItemId = item.id;
+
+        if (!fromHistory) {
+            this.updateRoute(true, { modal: true });
+        }
+
+        // Close handlers
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close')) {
+                this.closeModal();
+                return;
+            }
+            this.handleReaderClick(e, item);
+        });
+
+        this.modalKeyHandler = (e) => {
+            if (e.key === 'Escape') this.closeModal();
+        };
+        document.addEventListener('keydown', this.modalKeyHandler);
+    }
+
+    closeModal(fromHistory = false) {
+        if (!this.activeModal) return;
+
+        this.stopVideo();
+        this.activeModal.remove();
+        this.activeModal = null;
+        this.openItemId = null;
+        document.body.style.overflow = '';
+        document.removeEventListener('keydown', this.modalKeyHandler);
+
+        if (fromHistory) return;
+
+        // Step back over the entry the modal pushed; shared links have none to undo
+        if (history.state?.modal) {
+            history.back();
+        } else {
+            this.updateRoute();
+        }
+    }
+
+    // The type's renderer may return '' to fall back to the standard card
+    createCard(item) {
+        const type = this.sourceTypes.get(item.source_type || 'rss');
+        return (type.renderer && this[type.renderer](item)) || this.createArticle(item);
+    }
+
+    createArticle(item, extraHtml = '') {
+        const sourceName = item.source_name || '';
+        const date = this.formatDate(item.published_at || item.processed_at);
+        const url = this.rewriteSocialUrl(item.original_url || item.url || '#');
+        const summaryPreview = item.summary ? this.truncate(item.summary, 150) : '';
+        const ideas = item.ideas || [];
+        const ideasHtml = ideas.length > 0 ? this.renderIdeasChips(ideas.slice(0, IDEA_CARD_CHIPS)) : '';
+        const rating = item.rating || null;
+        const ratingBadgeHtml = rating ? this.createRatingBadgeHtml(rating, 'rating-badge', item.rating_reason) : '';
+
+        return `
+            <article class="article-item${this.isRead(item.id) ? ' read' : ''}" data-item-id="${item.id}">
+                ${this.createVideoThumbHtml(item)}
+                <div class="article-header">
+                    <div class="article-meta">
+                        ${sourceName ? `<span class="source-name">${this.escapeHtml(sourceName)}</span>` : ''}
+                        <span class="article-date">${date}</span>
+                    </div>
+                    ${ratingBadgeHtml}
+                </div>
+                <h3 class="article-title">${this.highlightHtml(item.title)}</h3>
+                ${summaryPreview ? `<p class="article-preview">${this.highlightHtml(summaryPreview)}</p>` : ''}
+                ${ideasHtml}
+                ${extraHtml}
+                <div class="article-footer">
+                    ${this.createSaveButtonHtml(item.id)}
+                    <a href="${this.escapeAttr(url)}" target="_blank" rel="noopener" class="read-link">
+                        Read Original →
+                    </a>
+                    ${this.createMarkUnreadButtonHtml(item.id)}
+                </div>
+            </article>
+        `;
+    }
+
+    createMarkUnreadButtonHtml(itemId) {
+        return `
+            <button class="mark-unread-btn" data-item-id="${itemId}" title="Mark as unread">
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="8" cy="8" r="6"/>
+                </svg>
+            </button>
+        `;
+    }
+
+    /**
+     * Labels
+     * Upstream labels win; items the feed left unlabeled get labels from the
+     * rules, kept apart in inferredLabels so they can be told apart and
+     * recomputed when the rules change.
+     */
+    applyLabelRules() {
+        this.inferredLabels = new Map();
+        this.items.forEach(item => {
+            if ((item.labels || []).length > 0) return;
+            const labels = this.labelRules.match(item);
+            if (labels.length > 0) this.inferredLabels.set(item.id, labels);
+        });
+    }
+
+    getLabels(item) {
+        const labels = item.labels || [];
+        return labels.length > 0 ? labels : (this.inferredLabels.get(item.id) || []);
+    }
+
+    hasInferredLabels(item) {
+        return (item.labels || []).length === 0 && this.inferredLabels.has(item.id);
+    }
+
+    createLabelsHtml(item) {
+        const labels = this.getLabels(item);
+        if (labels.length === 0) return '';
+
+        const inferred = this.hasInferredLabels(item);
+        return `
+            <span class="item-labels${inferred ? ' inferred' : ''}" title="${inferred ? 'Inferred by your label rules' : 'Labelled in the feed'}">
+                ${labels.map(label => `<span class="item-label">${this.escapeHtml(label)}</span>`).join('')}
+            </span>
+        `;
+    }
+
+    showLabelRules() {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-content label-rules" role="dialog" aria-label="Label rules">
+                <button class="modal-close">&times;</button>
+                <h2 class="modal-title">Label Rules</h2>
+                <p class="label-rules-note">
+                    Applied to items the feed did not label. ${this.inferredLabels.size} of ${this.items.length} loaded items are labelled this way.
+                </p>
+                <textarea class="label-rules-input" spellcheck="false" aria-label="Label rules">${this.escapeHtml(LabelRules.format(this.labelRules.rules))}</textarea>
+                <p class="label-rules-error hidden" role="alert"></p>
+                <div class="dialog-actions">
+                    <button class="footer-btn" type="button" data-action="reset">Reset to defaults</button>
+                    <button class="footer-btn" type="button" data-action="save">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.labelRulesOverlay = overlay;
+
+        const input = overlay.querySelector('.label-rules-input');
+        const error = overlay.querySelector('.label-rules-error');
+        overlay.querySelector('.modal-close').addEventListener('click', () => this.closeLabelRules());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.closeLabelRules();
+                return;
+            }
+
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'reset') {
+                input.value = LabelRules.format(DEFAULT_LABEL_RULES);
+            } else if (action === 'save') {
+                try {
+                    this.setLabelRules(LabelRules.parse(input.value));
+                    this.closeLabelRules();
+                } catch (err) {
+                    error.textContent = err.message;
+                    error.classList.remove('hidden');
+                }
+            }
+        });
+        input.focus();
+    }
+
+    closeLabelRules() {
+        if (!this.labelRulesOverlay) return;
+        this.labelRulesOverlay.remove();
+        this.labelRulesOverlay = null;
+    }
+
+    // Defaults are stored as null so later changes to DEFAULT_LABEL_RULES reach everyone who kept them
+    setLabelRules(rules) {
+        const isDefault = JSON.stringify(rules) === JSON.stringify(DEFAULT_LABEL_RULES);
+        this.store.setPreference('labelRules', isDefault ? null : rules);
+        this.labelRules = new LabelRules(rules);
+        this.rebuildIndexes();
+        this.applyFilters({ keepRendered: true });
+    }
+
+    /**
+     * Time settings
+     * The zone days are bucketed in (empty follows the browser) and what
+     * "This Week" means. The feed's own zone is fixed by the feed.
+     */
+    showTimeSettings() {
+        const zone = this.store.getPreference('timezone');
+        const browserZone = ZonedCalendar.browserZone();
+        const zoneOptions = ZonedCalendar.zones().map(name =>
+            `<option value="${this.escapeAttr(name)}"${name === zone ? ' selected' : ''}>${this.escapeHtml(name.replace(/_/g, ' '))}</option>`
+        ).join('');
+        const weekOptions = {
+            rolling: 'The last 7 days',
+            calendar: 'The calendar week, from Monday'
+        };
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-content time-settings" role="dialog" aria-label="Date and time settings">
+                <button class="modal-close">&times;</button>
+                <h2 class="modal-title">Dates &amp; Time Zone</h2>
+                <label class="time-settings-field">
+                    <span>Time zone for Today, Yesterday and other buckets</span>
+                    <select name="timezone">
+                        <option value=""${zone ? '' : ' selected'}>Browser default (${this.escapeHtml(browserZone)})</option>
+                        ${zoneOptions}
+                    </select>
+                </label>
+                <fieldset class="time-settings-field">
+                    <legend>This Week shows</legend>
+                    ${WEEK_MODES.map(mode => `
+                        <label class="time-settings-option">
+                            <input type="radio" name="weekMode" value="${mode}"${mode === this.weekMode ? ' checked' : ''}>
+                            ${weekOptions[mode]}
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <p class="time-settings-note">Feed times without an offset are read as ${this.escapeHtml(this.calendar.feedZone)}.</p>
+                <div class="dialog-actions">
+                    <button class="footer-btn" type="button" data-action="save">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.timeSettingsOverlay = overlay;
+
+        overlay.querySelector('.modal-close').addEventListener('click', () => this.closeTimeSettings());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.closeTimeSettings();
+                return;
+            }
+
+            if (e.target.closest('[data-action="save"]')) {
+                this.setTimeSettings(
+                    overlay.querySelector('select[name="timezone"]').value,
+                    overlay.querySelector('input[name="weekMode"]:checked')?.value
+                );
+                this.closeTimeSettings();
+            }
+        });
+        overlay.querySelector('select').focus();
+    }
+
+    closeTimeSettings() {
+        if (!this.timeSettingsOverlay) return;
+        this.timeSettingsOverlay.remove();
+        this.timeSettingsOverlay = null;
+    }
+
+    setTimeSettings(zone, weekMode) {
+        this.store.setPreference('timezone', ZonedCalendar.isValidZone(zone) ? zone : '');
+        if (WEEK_MODES.includes(weekMode)) this.store.setPreference('weekMode', weekMode);
+        this.weekMode = this.store.getPreference('weekMode');
+        this.setCalendar(this.calendar.feedZone, this.store.getPreference('timezone'));
+
+        this.buildIdeaIndex();
+        this.updateCounts();
+        this.syncViewControls();
+        this.applyFilters({ keepRendered: true });
+        this.updateLastUpdated(this.feedUpdatedAt);
+    }
+
+    /**
+     * Smart folders
+     * A folder is a saved view: the route state (filter, source, category,
+     * idea, search, sort) plus the rating floor. A folder shows as active
+     * whenever the current view matches it exactly.
+     */
+    setupSmartFolders() {
+        document.getElementById('save-folder-btn')?.addEventListener('click', () => this.saveCurrentView());
+
+        const container = document.getElementById('smart-folders-list');
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const row = e.target.closest('.smart-folder');
+            const folder = row && this.store.getSmartFolder(row.dataset.folderId);
+            if (!folder) return;
+
+            const action = e.target.closest('[data-folder-action]')?.dataset.folderAction;
+            if (action === 'up' || action === 'down') {
+                this.store.moveSmartFolder(folder.id, action === 'up' ? -1 : 1);
+                this.renderSmartFolders();
+            } else if (action === 'rename') {
+                this.renameSmartFolder(folder);
+            } else if (action === 'delete') {
+                if (confirm(`Delete the smart folder "${folder.name}"?`)) {
+                    this.store.removeSmartFolder(folder.id);
+                    this.renderSmartFolders();
+                }
+            } else {
+                this.openSmartFolder(folder);
+            }
+        });
+
+        this.renderSmartFolders();
+    }
+
+    getFolderView() {
+        return { ...this.getViewState(), item: null };
+    }
+
+    findActiveFolder() {
+        const hash = this.buildHash(this.getFolderView());
+        return this.store.getSmartFolders().find(folder =>
+            folder.minRating === this.minRating && this.buildHash(folder.view) === hash
+        ) || null;
+    }
+
+    // Saving under an existing name updates that folder in place
+    saveCurrentView() {
+        const active = this.findActiveFolder();
+        const input = prompt('Save this view as a smart folder named:',
+            active ? active.name : document.getElementById('feed-title').textContent);
+        const name = input?.trim();
+        if (!name) return;
+
+        const existing = this.store.getSmartFolders().find(folder => folder.name === name);
+        this.store.saveSmartFolder({
+            id: existing ? existing.id : `folder-${Date.now().toString(36)}`,
+            name,
+            view: this.getFolderView(),
+            minRating: this.minRating,
+            updatedAt: Date.now()
+        });
+        this.renderSmartFolders();
+    }
+
+    renameSmartFolder(folder) {
+        const name = prompt('Rename smart folder:', folder.name)?.trim();
+        if (!name || name === folder.name) return;
+        this.store.saveSmartFolder({ ...folder, name, updatedAt: Date.now() });
+        this.renderSmartFolders();
+    }
+
+    openSmartFolder(folder) {
+        this.setViewState({ ...folder.view, item: null });
+        this.minRating = folder.minRating;
+        this.store.setPreference('minRating', this.minRating);
+        const minRatingInput = document.getElementById('min-rating');
+        if (minRatingInput) minRatingInput.value = this.minRating;
+        this.updateMinRatingLabel();
+
+        this.syncViewControls();
+        this.applyFilters();
+        this.updateRoute(true);
+        this.preloadArchives(folder.view);
+    }
+
+    renderSmartFolders() {
+        const container = document.getElementById('smart-folders-list');
+        if (!container) return;
+
+        const folders = this.store.getSmartFolders();
+        container.innerHTML = folders.map((folder, index) => `
+            <div class="smart-folder" data-folder-id="${this.escapeAttr(folder.id)}">
+                <button class="nav-item" data-filter="folder" data-folder-id="${this.escapeAttr(folder.id)}" title="${this.escapeAttr(this.describeFolder(folder))}">
+                    <span class="nav-icon">📁</span>
+                    ${this.escapeHtml(folder.name)}
+                    <span class="nav-count">0</span>
+                </button>
+                <span class="smart-folder-actions">
+                    <button type="button" data-folder-action="up" title="Move up" aria-label="Move ${this.escapeAttr(folder.name)} up"${index === 0 ? ' disabled' : ''}>↑</button>
+                    <button type="button" data-folder-action="down" title="Move down" aria-label="Move ${this.escapeAttr(folder.name)} down"${index === folders.length - 1 ? ' disabled' : ''}>↓</button>
+                    <button type="button" data-folder-action="rename" title="Rename" aria-label="Rename ${this.escapeAttr(folder.name)}">✎</button>
+                    <button type="button" data-folder-action="delete" title="Delete" aria-label="Delete ${this.escapeAttr(folder.name)}">✕</button>
+                </span>
+            </div>
+        `).join('');
+
+        container.closest('.nav-section')?.classList.toggle('empty', folders.length === 0);
+        this.updateCounts();
+        this.syncViewControls();
+    }
+
+    describeFolder(folder) {
+        const { view } = folder;
+        const parts = [this.getViewTitle(view)];
+        if (view.search) parts.push(`"${view.search}"`);
+        if (folder.minRating > 0) parts.push(`${folder.minRating}+`);
+        if (view.sort !== 'date') parts.push(`by ${view.sort}`);
+        return parts.join(' · ');
+    }
+
+    // Unread items the folder would show, counted like the rest of the sidebar
+    countSmartFolder(folder) {
+        return this.getViewItems(folder.view).items.filter(item =>
+            (item.rating || 0) >= folder.minRating && !this.isRead(item.id)
+        ).length;
+    }
+
+    /**
+     * Ideas
+     * Ideas are free-text sentences, so they are compared as sets of content
+     * terms: two ideas match when their Dice overlap reaches IDEA_MATCH_THRESHOLD
+     * over at least two shared terms. Clusters are grown greedily from a seed
+     * idea, which doubles as the cluster's label and its filter. Seeds are
+     * indexed by term, so an idea is only compared with clusters it shares a
+     * term with.
+     */
+    getIdeaTerms(idea) {
+        let terms = this.ideaTerms.get(idea);
+        if (!terms) {
+            terms = [...new Set(idea.toLowerCase()
+                .replace(/[^\p{L}\p{N}]+/gu, ' ')
+                .split(' ')
+                .filter(term => term.length > 1 && !IDEA_STOPWORDS.has(term))
+                // Rough stemming so "attacks" and "attacked" meet "attack"
+                .map(term => term.length > 4 ? term.replace(/(ies)$/, 'y').replace(/(ing|ed|es|s)$/, '') : term))];
+            this.ideaTerms.set(idea, terms);
+        }
+        return terms;
+    }
+
+    ideaSimilarity(a, b) {
+        const termsA = this.getIdeaTerms(a);
+        const termsB = new Set(this.getIdeaTerms(b));
+        const shared = termsA.filter(term => termsB.has(term)).length;
+        return this.termOverlap(shared, termsA.length, termsB.size);
+    }
+
+    termOverlap(shared, sizeA, sizeB) {
+        if (shared === 0 || (shared < 2 && Math.min(sizeA, sizeB) > 1)) return 0;
+        return 2 * shared / (sizeA + sizeB);
+    }
+
+    matchesIdea(item, idea) {
+        return (item.ideas || []).some(candidate => this.ideaSimilarity(candidate, idea) >= IDEA_MATCH_THRESHOLD);
+    }
+
+    // Groups that span at least two articles, most widely reported first
+    clusterIdeas(items) {
+        const clusters = [];
+        const seedsByTerm = new Map();
+        items.forEach(item => {
+            (item.ideas || []).forEach(idea => {
+                const terms = this.getIdeaTerms(idea);
+
+                // Shared term counts per candidate; the oldest matching cluster wins
+                const shared = new Map();
+                terms.forEach(term => {
+                    (seedsByTerm.get(term) || []).forEach(c => shared.set(c, (shared.get(c) || 0) + 1));
+                });
+                let cluster = null;
+                shared.forEach((count, candidate) => {
+                    if (cluster && cluster.index < candidate.index) return;
+                    if (this.termOverlap(count, terms.length, candidate.size) >= IDEA_MATCH_THRESHOLD) cluster = candidate;
+                });
+
+                if (!cluster) {
+                    cluster = { seed: idea, index: clusters.length, size: terms.length, entries: [], items: new Set(), sources: new Set() };
+                    clusters.push(cluster);
+                    terms.forEach(term => {
+                        if (!seedsByTerm.has(term)) seedsByTerm.set(term, []);
+                        seedsByTerm.get(term).push(cluster);
+                    });
+                }
+                cluster.entries.push({ idea, item });
+                cluster.items.add(item.id);
+                cluster.sources.add(`${item.source_type || 'rss'}:${item.source_id}`);
+            });
+        });
+
+        return clusters
+            .filter(cluster => cluster.items.size > 1)
+            .sort((a, b) => b.sources.size - a.sources.size || b.items.size - a.items.size);
+    }
+
+    // Recurring ideas across this week's visible items, for the sidebar count.
+    // Counted once the browser is idle, so loads and merges do not wait on it.
+    buildIdeaIndex() {
+        this.ideaClusterCount = null;
+        if (this.ideaIndexTask) return;
+
+        const schedule = window.requestIdleCallback || ((callback) => setTimeout(callback, 0));
+        this.ideaIndexTask = schedule(() => {
+            this.ideaIndexTask = null;
+            const weekItems = this.items.filter(item =>
+                this.isThisWeek(item.published_at || item.processed_at) &&
+                !this.store.isSourceHidden(item.source_type || 'rss', item.source_id)
+            );
+            this.ideaClusterCount = this.clusterIdeas(weekItems).length;
+            this.setNavCount(document.getElementById('count-ideas'), this.ideaClusterCount);
+        });
+    }
+
+    showIdea(idea, push = true) {
+        this.currentFilter = 'idea';
+        this.currentIdea = idea;
+        this.syncViewControls();
+        this.applyFilters();
+        this.updateRoute(push);
+        window.scrollTo(0, 0);
+    }
+
+    renderIdeaClusters() {
+        const clusters = this.clusterIdeas(this.filteredItems);
+        this.ideaClusters = clusters;
+        this.renderedClusters = 0;
+        document.getElementById('feed-count').textContent =
+            `${clusters.length} recurring idea${clusters.length !== 1 ? 's' : ''} in ${this.filteredItems.length} articles`;
+        document.getElementById('no-results').classList.toggle('hidden', clusters.length > 0);
+        this.renderNextIdeaClusters();
+    }
+
+    // Paged like cards, since a busy week can hold thousands of clusters
+    renderNextIdeaClusters() {
+        const page = this.ideaClusters.slice(this.renderedClusters, this.renderedClusters + RENDER_PAGE_SIZE);
+        if (page.length > 0) {
+            document.getElementById('article-list').insertAdjacentHTML('beforeend',
+                page.map(cluster => this.createIdeaClusterHtml(cluster)).join(''));
+            this.renderedClusters += page.length;
+        }
+        this.updateLoadMore();
+    }
+
+    createIdeaClusterHtml(cluster) {
+        return `
+            <section class="idea-cluster">
+                <div class="idea-cluster-header">
+                    <button class="idea-cluster-title" type="button" data-idea="${this.escapeAttr(cluster.seed)}" title="Show every article with this idea">
+                        ${this.highlightHtml(cluster.seed)}
+                    </button>
+                    <span class="idea-cluster-meta">
+                        ${cluster.sources.size} source${cluster.sources.size !== 1 ? 's' : ''} · ${cluster.items.size} articles
+                    </span>
+                </div>
+                <ul class="idea-cluster-entries">
+                    ${cluster.entries.map(({ idea, item }) => `
+                        <li>
+                            <button class="idea-cluster-entry${this.isRead(item.id) ? ' read' : ''}" type="button" data-item-id="${item.id}">
+                                <span class="idea-cluster-text">${this.highlightHtml(idea)}</span>
+                                <span class="idea-cluster-source">${this.escapeHtml(item.source_name || '')} — ${this.escapeHtml(item.title || '')}</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    /**
+     * Newsletter digests
+     * A newsletter item may carry sections: [{ heading, summary, url, rating }].
+     * The card counts sections at or above the rating floor (DIGEST_MIN_RATING
+     * while the slider is at Any); the reader lists them under a table of contents.
+     */
+    getSections(item) {
+        if (!Array.isArray(item.sections)) return [];
+        return item.sections
+            .filter(section => section && (section.heading || section.title))
+            .map(section => ({
+                heading: section.heading || section.title,
+                summary: section.summary || '',
+                url: section.url || section.link || '',
+                rating: typeof section.rating === 'number' ? section.rating : null
+            }));
+    }
+
+    getDigestThreshold() {
+        return this.minRating || DIGEST_MIN_RATING;
+    }
+
+    createDigestCard(item) {
+        if (this.getSections(item).length === 0) return '';
+
+        const sourceName = item.source_name || '';
+        const date = this.formatDate(item.published_at || item.processed_at);
+        const url = this.rewriteSocialUrl(item.original_url || item.url || '#');
+        const rating = item.rating || null;
+        const ratingBadgeHtml = rating ? this.createRatingBadgeHtml(rating, 'rating-badge', item.rating_reason) : '';
+
+        const sections = this.getSections(item);
+        const threshold = this.getDigestThreshold();
+        const highlights = sections
+            .filter(section => section.rating !== null && section.rating >= threshold)
+            .sort((a, b) => b.rating - a.rating);
+
+        return `
+            <article class="article-item digest-card${this.isRead(item.id) ? ' read' : ''}" data-item-id="${item.id}">
+                <div class="article-header">
+                    <div class="article-meta">
+                        ${sourceName ? `<span class="source-name">${this.escapeHtml(sourceName)}</span>` : ''}
+                        <span class="article-date">${date}</span>
+                    </div>
+                    ${ratingBadgeHtml}
+                </div>
+                <h3 class="article-title">${this.highlightHtml(item.title)}</h3>
+                <p class="digest-count">
+                    <strong>${highlights.length}</strong> of ${sections.length} section${sections.length !== 1 ? 's' : ''} rated ${threshold}+
+                </p>
+                ${highlights.length > 0 ? `
+                    <ul class="digest-highlights">
+                        ${highlights.slice(0, DIGEST_CARD_SECTIONS).map(section => `
+                            <li>
+                                <span class="digest-section-rating ${this.getRatingClass(section.rating)}">${section.rating}</span>
+                                ${this.highlightHtml(section.heading)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <div class="article-footer">
+                    ${this.createSaveButtonHtml(item.id)}
+                    <a href="${this.escapeAttr(url)}" target="_blank" rel="noopener" class="read-link">
+                        Read Issue →
+                    </a>
+                    ${this.createMarkUnreadButtonHtml(item.id)}
+                </div>
+            </article>
+        `;
+    }
+
+    // The table of contents scrolls within the reader; real anchors would fight the hash router
+    createDigestSectionsHtml(item) {
+        const sections = this.getSections(item);
+        if (sections.length === 0) return '';
+
+        const threshold = this.getDigestThreshold();
+        const ratingHtml = (section) => section.rating !== null
+            ? `<span class="digest-section-rating ${this.getRatingClass(section.rating)}">${section.rating}</span>`
+            : '';
+
+        return `
+            <nav class="digest-toc" aria-label="Sections in this issue">
+                <h4>In this issue</h4>
+                <ol>
+                    ${sections.map((section, index) => `
+                        <li class="${section.rating !== null && section.rating < threshold ? 'below-threshold' : ''}">
+                            <a href="#" data-section="${index}">${this.escapeHtml(section.heading)}</a>
+                            ${ratingHtml(section)}
+                        </li>
+                    `).join('')}
+                </ol>
+            </nav>
+            <div class="digest-sections">
+                ${sections.map((section, index) => `
+                    <section class="digest-section${section.rating !== null && section.rating < threshold ? ' below-threshold' : ''}" data-section="${index}">
+                        <h3>${this.escapeHtml(section.heading)} ${ratingHtml(section)}</h3>
+                        ${section.summary ? `<p>${this.escapeHtml(section.summary)}</p>` : ''}
+                        ${section.url ? `<a href="${this.escapeAttr(section.url)}" target="_blank" rel="noopener" class="digest-section-link">Read section →</a>` : ''}
+                    </section>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Twitter/X (nitter) posts
+     * Rendered as compact post cards. Consecutive posts from one source form a
+     * thread that starts collapsed to its first post.
+     */
+    createTweetCard(item) {
+        const sourceName = item.source_name || '';
+        const handle = this.getSocialHandle(item);
+        const date = this.formatDate(item.published_at || item.processed_at);
+        const url = this.rewriteSocialUrl(item.original_url || item.url || '#');
+        const postUrl = item.tweet_url ? this.rewriteSocialUrl(item.tweet_url) : null;
+        const rating = item.rating || null;
+        const ratingBadgeHtml = rating ? this.createRatingBadgeHtml(rating, 'rating-badge', item.rating_reason) : '';
+
+        const thread = this.threads.get(item.id);
+        const inThread = thread && thread.head.size > 1;
+        const isReply = inThread && thread.position > 0;
+        const classes = ['article-item', 'tweet-card'];
+        if (this.isRead(item.id)) classes.push('read');
+        if (isReply) classes.push('thread-reply');
+        if (this.isCollapsedReply(item)) classes.push('collapsed');
+
+        return `
+            <article class="${classes.join(' ')}" data-item-id="${item.id}"${inThread ? ` data-thread="${thread.head.id}"` : ''}>
+                <div class="tweet-header">
+                    <span class="tweet-avatar" aria-hidden="true">${this.escapeHtml(sourceName.charAt(0).toUpperCase() || '@')}</span>
+                    <div class="tweet-author">
+                        <span class="source-name">${this.escapeHtml(sourceName)}</span>
+                        ${handle ? `<span class="tweet-handle">@${this.escapeHtml(handle)}</span>` : ''}
+                    </div>
+                    <span class="article-date">${date}</span>
+                    ${ratingBadgeHtml}
+                </div>
+                <p class="tweet-text">${this.highlightHtml(this.truncate(item.title || item.summary || '', TWEET_MAX_LENGTH))}</p>
+                <div class="article-footer">
+                    ${this.createSaveButtonHtml(item.id)}
+                    ${postUrl ? `<a href="${this.escapeAttr(postUrl)}" target="_blank" rel="noopener" class="tweet-link">Post ↗</a>` : ''}
+                    <a href="${this.escapeAttr(url)}" target="_blank" rel="noopener" class="read-link">
+                        Open Link →
+                    </a>
+                    ${this.createMarkUnreadButtonHtml(item.id)}
+                </div>
+                ${inThread && !isReply ? this.createThreadToggleHtml(thread.head) : ''}
+            </article>
+        `;
+    }
+
+    createThreadToggleHtml(head) {
+        const expanded = this.expandedThreads.has(head.id);
+        const more = head.size - 1;
+        return `
+            <button class="thread-toggle" type="button" aria-expanded="${expanded}">
+                ${expanded ? 'Collapse thread' : `Show ${more} more post${more !== 1 ? 's' : ''}`}
+            </button>
+        `;
+    }
+
+    // Runs of consecutive short-form posts from one source, in the current sort order
+    buildThreads() {
+        this.threads = new Map();
+        let head = null;
+        let previous = null;
+
+        this.filteredItems.forEach(item => {
+            const isPost = this.sourceTypes.get(item.source_type || 'rss').shortForm;
+            if (isPost && head && String(previous.source_id) === String(item.source_id)) {
+                this.threads.set(item.id, { head, position: head.size });
+                head.size++;
+            } else if (isPost) {
+                head = { id: item.id, size: 1 };
+                this.threads.set(item.id, { head, position: 0 });
+            } else {
+                head = null;
+            }
+            previous = item;
+        });
+    }
+
+    isCollapsedReply(item) {
+        const thread = item && this.threads.get(item.id);
+        return Boolean(thread) && thread.position > 0 && !this.expandedThreads.has(thread.head.id);
+    }
+
+    toggleThread(headId) {
+        const thread = this.threads.get(headId);
+        if (!thread) return;
+
+        if (this.expandedThreads.has(headId)) {
+            this.expandedThreads.delete(headId);
+        } else {
+            this.expandedThreads.add(headId);
+        }
+
+        // Replies may sit on pages not rendered yet; those pick up the state when they are
+        const expanded = this.expandedThreads.has(headId);
+        document.querySelectorAll(`.thread-reply[data-thread="${headId}"]`).forEach(card => {
+            card.classList.toggle('collapsed', !expanded);
+        });
+        const toggle = document.querySelector(`.article-item[data-item-id="${headId}"] .thread-toggle`);
+        if (toggle) toggle.outerHTML = this.createThreadToggleHtml(thread.head);
+    }
+
+    // Explicit handle fields win; otherwise take it from a twitter/x/nitter link
+    getSocialHandle(item) {
+        const explicit = item.author_handle || item.handle;
+        if (explicit) return String(explicit).replace(/^@/, '');
+
+        for (const url of [item.tweet_url, item.original_url]) {
+            const parsed = this.parseSocialUrl(url);
+            const handle = parsed?.pathname.split('/')[1];
+            if (handle && !['i', 'search', 'hashtag'].includes(handle)) return handle;
+        }
+        return null;
+    }
+
+    parseSocialUrl(url) {
+        if (!url) return null;
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname.replace(/^www\./, '');
+            const configured = this.store.getPreference('nitterHost');
+            const isSocial = SOCIAL_HOSTS.includes(host) || host.startsWith('nitter.') || host === configured;
+            return isSocial ? parsed : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Point twitter/x/nitter links at the host chosen in preferences (empty keeps them as published)
+    rewriteSocialUrl(url) {
+        const host = this.store.getPreference('nitterHost');
+        if (!host) return url;
+
+        const parsed = this.parseSocialUrl(url);
+        if (!parsed) return url;
+
+        parsed.protocol = 'https:';
+        parsed.host = host;
+        return parsed.href;
+    }
+
+    configureNitterHost() {
+        const current = this.store.getPreference('nitterHost') || '';
+        const input = prompt('Open Twitter/X links on this host (e.g. x.com or nitter.net; empty keeps links as published):', current);
+        if (input === null) return;
+
+        let host = input.trim();
+        if (host) {
+            try {
+                host = new URL(host.includes('://') ? host : `https://${host}`).host;
+            } catch {
+                alert('That does not look like a host name.');
+                return;
+            }
+        }
+
+        this.store.setPreference('nitterHost', host);
+        this.applyFilters({ keepRendered: true });
+    }
+
+    createRatingBadgeHtml(rating, className, reason = '') {
+        const ratingClass = this.getRatingClass(rating);
+        if (!reason) {
+            return `<div class="${className} ${ratingClass}">${rating}</div>`;
+        }
+
+        return `
+            <div class="${className} ${ratingClass} has-reason" tabindex="0" role="button" aria-label="Rating ${rating}, show reason">
+                ${rating}
+                <span class="rating-reason-tooltip" role="tooltip">${this.escapeHtml(this.truncate(reason, 280))}</span>
+            </div>
+        `;
+    }
+
+    getRatingClass(rating) {
+        if (rating >= 95) return 'rating-excellent';
+        if (rating >= 90) return 'rating-great';
+        return 'rating-good';
+    }
+
+    truncate(str, maxLen) {
+        if (!str || str.length <= maxLen) return str;
+        return str.substring(0, maxLen).trim() + '...';
+    }
+
+    renderIdeasChips(ideas) {
+        if (!ideas || ideas.length === 0) return '';
+
+        const chips = ideas.map(idea =>
+            `<button class="idea-chip" type="button" data-idea="${this.escapeAttr(idea)}" title="Articles sharing this idea">${this.highlightHtml(this.truncate(idea, 60))}</button>`
+        ).join('');
+
+        return `<div class="article-ideas">${chips}</div>`;
+    }
+
+    formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    formatDate(dateStr) {
+        if (!dateStr) return '';
+        try {
+            const time = this.calendar.parse(dateStr);
+            if (isNaN(time)) return '';
+            const diffMs = Date.now() - time;
+            const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+            const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+
+            if (diffHours < 1) return 'Just now';
+            if (diffHours < 24) return `${diffHours}h ago`;
+            if (diffDays < 7) return `${diffDays}d ago`;
+
+            return new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: this.calendar.zone });
+        } catch {
+            return '';
+        }
+    }
+
+    updateLastUpdated(timestamp) {
+        const el = document.getElementById('last-updated');
+        if (el && timestamp) {
+            el.textContent = `Updated ${this.formatDate(timestamp)}`;
+        }
+    }
+
+    updateCacheBanner(fromCache) {
+        this.feedFromCache = fromCache;
+        const banner = document.getElementById('cache-banner');
+        if (!banner) return;
+
+        if (!fromCache) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const age = this.formatDate(this.feedUpdatedAt);
+        const prefix = navigator.onLine ? 'Cached feed' : 'Offline';
+        banner.textContent = age ? `${prefix} · from ${age}` : prefix;
+        banner.classList.toggle('offline', !navigator.onLine);
+        banner.classList.remove('hidden');
+    }
+
+    showError() {
+        const list = document.getElementById('article-list');
+        list.innerHTML = `
+            <div class="no-results">
+                <p>Unable to load articles. Please try again later.</p>
+            </div>
+        `;
+    }
+
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // innerHTML leaves quotes alone, which is fine for text but not inside attr="..."
+    escapeAttr(str) {
+        return this.escapeHtml(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new FeedSieve();
+});
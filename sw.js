@@ -0,0 +1,167 @@
+/**
+ * FeedSieve Service Worker
+ * Offline shell and last good feed, served stale-while-revalidate
+ */
+
+const SHELL_CACHE = 'feedsieve-shell-v1';
+const FEED_CACHE = 'feedsieve-feed-v1';
+const DATA_PATTERN = /\/data\/[\w\/-]+\.json$/;
+const SHELL_PATH = 'index.html';
+const CACHE_HEADER = 'X-FeedSieve-Cache';
+const STATIC_ASSETS = [
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+// Hashed bundles referenced from index.html (js/app.<stamp>.js, css/style.<stamp>.css)
+const ASSET_PATTERN = /(?:js\/app\.[\w-]+\.js|css\/style\.[\w-]+\.css)/g;
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const response = await fetch(scopeUrl(SHELL_PATH), { cache: 'no-cache' });
+        if (response.ok) await cacheShell(response);
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(STATIC_ASSETS.map(scopeUrl));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, FEED_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('feedsieve-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(serveShell(event));
+    } else if (url.pathname.match(DATA_PATTERN)) {
+        event.respondWith(serveFeed(event));
+    } else if (url.pathname.match(ASSET_PATTERN)) {
+        event.respondWith(serveAsset(request));
+    } else if (STATIC_ASSETS.map(scopeUrl).includes(url.origin + url.pathname)) {
+        event.respondWith(serveStatic(event));
+    }
+});
+
+// Cache index.html and the bundles it references, dropping superseded bundles
+async function cacheShell(response) {
+    const cache = await caches.open(SHELL_CACHE);
+    const html = await response.clone().text();
+    const assets = [...new Set(html.match(ASSET_PATTERN) || [])].map(scopeUrl);
+
+    await cache.put(scopeUrl(SHELL_PATH), response);
+    await Promise.all(assets.map(async (asset) => {
+        if (!(await cache.match(asset))) await cache.add(asset);
+    }));
+
+    const keys = await cache.keys();
+    await Promise.all(keys
+        .filter(req => req.url.match(ASSET_PATTERN) && !assets.includes(req.url))
+        .map(req => cache.delete(req)));
+}
+
+async function serveShell(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(scopeUrl(SHELL_PATH));
+
+    const network = fetch(event.request).then(async (response) => {
+        if (response.ok) await cacheShell(response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+// Bundles are content-stamped, so a cached copy is always current
+async function serveAsset(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+}
+
+// The manifest and icons keep their names across deploys: serve the cached copy, refresh it behind
+async function serveStatic(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = event.request.url.split('?')[0];
+    const cached = await cache.match(key);
+
+    const network = fetch(event.request, { cache: 'no-cache' }).then(async (response) => {
+        if (response.ok) await cache.put(key, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+// feed.json, the shard index and shard files all go through here, keyed without query
+async function serveFeed(event) {
+    const cache = await caches.open(FEED_CACHE);
+    const key = event.request.url.split('?')[0];
+
+    // The page's refresh poll asks for no-cache and handles 304s itself
+    if (event.request.cache === 'no-cache') {
+        const response = await fetch(event.request);
+        if (response.status === 200) await cache.put(key, response.clone());
+        return response;
+    }
+
+    const cached = await cache.match(key);
+    const cachedText = cached ? await cached.clone().text() : null;
+
+    const network = fetch(event.request, { cache: 'no-cache' }).then(async (response) => {
+        if (response.ok) {
+            const text = await response.clone().text();
+            await cache.put(key, response.clone());
+            if (cached) notifyClients({ type: 'feed-revalidated', changed: text !== cachedText });
+        }
+        return response;
+    });
+
+    if (!cached) return network;
+
+    event.waitUntil(network.catch(() => {}));
+
+    // Tag the cached copy so the page can tell the user how stale it is
+    const headers = new Headers(cached.headers);
+    headers.set(CACHE_HEADER, 'hit');
+    return new Response(cachedText, {
+        status: cached.status,
+        statusText: cached.statusText,
+        headers
+    });
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,62 @@
+/**
+ * Split data/feed.json into weekly shards plus the data/index.json manifest
+ * Usage: node tools/shard-feed.js [feed.json] [outDir]
+ *
+ * Shards are named by ISO week (2026-W01.json) and listed newest first, which
+ * is the order the client loads them in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const feedPath = process.argv[2] || path.join(__dirname, '..', 'data', 'feed.json');
+const outDir = process.argv[3] || path.dirname(feedPath);
+const shardDir = path.join(outDir, 'shards');
+
+// Feed timestamps without an offset are UTC; Node would otherwise read them as local time
+const parseDate = (dateStr) => new Date(/T[\d:.]+$/.test(dateStr) ? `${dateStr}Z` : dateStr);
+
+// ISO 8601 week: weeks start on Monday, week 1 holds the year's first Thursday
+const isoWeek = (dateStr) => {
+    const date = parseDate(dateStr);
+    const day = (date.getUTCDay() + 6) % 7;
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day + 3));
+    const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+    const week = 1 + Math.round(((thursday - yearStart) / 86400000 - 3 + ((yearStart.getUTCDay() + 6) % 7)) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+const feed = JSON.parse(fs.readFileSync(feedPath, 'utf8'));
+const shards = new Map();
+
+(feed.items || []).forEach(item => {
+    const key = isoWeek(item.published_at || item.processed_at || feed.updated_at);
+    if (!shards.has(key)) shards.set(key, []);
+    shards.get(key).push(item);
+});
+
+fs.mkdirSync(shardDir, { recursive: true });
+
+const index = {
+    updated_at: feed.updated_at,
+    ...(feed.timezone ? { timezone: feed.timezone } : {}),
+    total_items: (feed.items || []).length,
+    shards: [...shards.keys()].sort().reverse().map(key => {
+        const items = shards.get(key);
+        const dates = items.map(item => item.published_at || item.processed_at).filter(Boolean).sort();
+        const file = `shards/${key}.json`;
+
+        fs.writeFileSync(path.join(outDir, file), JSON.stringify({ week: key, items }, null, 2));
+
+        return {
+            url: `data/${file}`,
+            week: key,
+            from: dates[0] || null,
+            to: dates[dates.length - 1] || null,
+            count: items.length
+        };
+    })
+};
+
+fs.writeFileSync(path.join(outDir, 'index.json'), JSON.stringify(index, null, 2));
+console.log(`Wrote ${index.shards.length} shards for ${index.total_items} items to ${outDir}`);
@@ -0,0 +1,66 @@
+/**
+ * Local stub for the FeedSieve sync endpoint
+ * Usage: node tools/sync-server.js [port]   then set the endpoint to http://localhost:<port>/sync
+ *
+ * Keeps changes in memory, last-writer-wins per "<kind>:<id>", and hands out a
+ * monotonically increasing cursor so clients only pull what they have not seen.
+ */
+
+const http = require('http');
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const entries = new Map();
+let sequence = 0;
+
+const send = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const applyChange = (change) => {
+    const key = `${change.kind}:${change.id}`;
+    const current = entries.get(key);
+    if (current && current.change.updatedAt >= change.updatedAt) return;
+    entries.set(key, { seq: ++sequence, change });
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (url.pathname !== '/sync') return send(res, 404, { error: 'not found' });
+
+    if (req.method === 'GET') {
+        const since = parseInt(url.searchParams.get('since'), 10) || 0;
+        const changes = [...entries.values()]
+            .filter(entry => entry.seq > since)
+            .map(entry => entry.change);
+        return send(res, 200, { cursor: sequence, changes });
+    }
+
+    if (req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                const { changes = [] } = JSON.parse(body || '{}');
+                changes.forEach(applyChange);
+                send(res, 200, { cursor: sequence });
+            } catch (error) {
+                send(res, 400, { error: error.message });
+            }
+        });
+        return;
+    }
+
+    send(res, 405, { error: 'method not allowed' });
+});
+
+server.listen(port, () => {
+    console.log(`FeedSieve sync stub listening on http://localhost:${port}/sync`);
+});